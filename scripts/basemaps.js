@@ -0,0 +1,56 @@
+// Base maps offered in the layer control. The trip catalog declares them under
+// "baseLayers"; each is a Leaflet tile URL template, so a tile directory served
+// beside the site (e.g. "./tiles/{z}/{x}/{y}.png", unpacked from MBTiles) works
+// the same as a public server.
+
+// Used when the catalog declares no base maps
+const DEFAULT_BASE_LAYERS = [
+    {
+        id: 'topo',
+        label: 'Topo',
+        url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        maxZoom: 17,
+        attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (<a href="https://creativecommons.org/licenses/by-sa/3.0/">CC-BY-SA</a>)',
+        download: true
+    }
+];
+// A base map that fails this many tiles in a row, without one loading, is given up on
+const TILE_FALLBACK_ERRORS = 6;
+
+// Fill in defaults and drop entries without an id or URL template
+function normalizeBaseLayers(raw) {
+    const layers = (Array.isArray(raw) ? raw : []).filter(layer => {
+        if (layer.id && layer.url) return true;
+        console.warn('Base layer needs an id and a url; skipping it:', layer);
+        return false;
+    });
+    return (layers.length > 0 ? layers : DEFAULT_BASE_LAYERS).map(layer => ({
+        label: layer.id,
+        subdomains: 'abc',
+        minZoom: 0,
+        maxZoom: 18,
+        attribution: '',
+        // Only servers whose terms allow it are offered in the Offline panel
+        download: false,
+        ...layer
+    }));
+}
+
+function createBaseLayer(config) {
+    return L.tileLayer(config.url, {
+        subdomains: config.subdomains,
+        minZoom: config.minZoom,
+        maxZoom: config.maxZoom,
+        attribution: config.attribution
+    });
+}
+
+// Call onFail once when the layer's server looks down rather than missing a tile or two
+function watchTileFailures(layer, onFail) {
+    let errorsInRow = 0;
+    layer.on('add tileload', () => { errorsInRow = 0; });
+    layer.on('tileerror', () => {
+        errorsInRow++;
+        if (errorsInRow === TILE_FALLBACK_ERRORS) onFail();
+    });
+}
@@ -0,0 +1,222 @@
+// Elevation profiles computed from the GPX track-point elevations
+
+// Distance window (meters of trail) for the moving-average smoothing
+const ELEVATION_SMOOTHING_WINDOW_METERS = 200;
+// Climbs and drops smaller than this (meters) are treated as GPS noise
+const ELEVATION_NOISE_THRESHOLD_METERS = 3;
+
+const FEET_PER_METER = 3.28084;
+
+// Build a profile from [lat, lon, ele] coordinates (ele in meters).
+// Returns distances in miles, smoothed elevations in feet and the segment totals,
+// or null when the coordinates carry no elevation (e.g. interpolated paths).
+function buildElevationProfile(coords) {
+    if (!coords || coords.length < 2) return null;
+    if (!coords.every(c => Number.isFinite(c[2]))) return null;
+
+    const cumulativeMeters = computeCumulativeMeters(coords);
+    const rawElevations = coords.map(c => c[2]);
+    const smoothed = smoothElevations(rawElevations, cumulativeMeters, ELEVATION_SMOOTHING_WINDOW_METERS);
+    const { gain, loss } = measureGainAndLoss(smoothed, ELEVATION_NOISE_THRESHOLD_METERS);
+
+    return {
+        distances: cumulativeMeters.map(m => m / METERS_PER_MILE),
+        elevations: smoothed.map(m => m * FEET_PER_METER),
+        gain: Math.round(gain * FEET_PER_METER),
+        loss: Math.round(loss * FEET_PER_METER),
+        minElevation: Math.round(Math.min(...rawElevations) * FEET_PER_METER),
+        maxElevation: Math.round(Math.max(...rawElevations) * FEET_PER_METER)
+    };
+}
+
+// Centered moving average over a distance window rather than a point count,
+// so densely and sparsely recorded stretches are smoothed the same amount
+function smoothElevations(elevations, cumulativeMeters, windowMeters) {
+    const half = windowMeters / 2;
+    const smoothed = new Array(elevations.length);
+    let lo = 0;
+    let hi = 0;
+    let sum = 0;
+
+    for (let i = 0; i < elevations.length; i++) {
+        while (hi < elevations.length && cumulativeMeters[hi] - cumulativeMeters[i] <= half) {
+            sum += elevations[hi];
+            hi++;
+        }
+        while (cumulativeMeters[i] - cumulativeMeters[lo] > half) {
+            sum -= elevations[lo];
+            lo++;
+        }
+        smoothed[i] = sum / (hi - lo);
+    }
+
+    return smoothed;
+}
+
+// Hysteresis counting: only commit a climb or drop once it exceeds the threshold
+function measureGainAndLoss(elevations, threshold) {
+    let gain = 0;
+    let loss = 0;
+    let reference = elevations[0];
+
+    for (let i = 1; i < elevations.length; i++) {
+        const delta = elevations[i] - reference;
+        if (delta >= threshold) {
+            gain += delta;
+            reference = elevations[i];
+        } else if (delta <= -threshold) {
+            loss -= delta;
+            reference = elevations[i];
+        }
+    }
+
+    return { gain, loss };
+}
+
+// Index of the profile point closest to a distance (miles) along the segment
+function findProfileIndexAtDistance(profile, distance) {
+    const distances = profile.distances;
+    let lo = 0;
+    let hi = distances.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (distances[mid] < distance) lo = mid + 1;
+        else hi = mid;
+    }
+    if (lo > 0 && distance - distances[lo - 1] < distances[lo] - distance) lo--;
+    return lo;
+}
+
+function formatElevation(value) {
+    return Number.isFinite(value) ? value.toLocaleString() : '—';
+}
+
+function createElevationChart(profile) {
+    if (!profile) {
+        return `<div class="elevation-chart elevation-chart-empty">No elevation data for this segment</div>`;
+    }
+
+    const chartHeight = 120;
+    const chartWidth = 280;
+    const totalDistance = profile.distances[profile.distances.length - 1];
+    const chartMin = Math.min(...profile.elevations);
+    const chartMax = Math.max(...profile.elevations);
+    const elevationRange = Math.max(1, chartMax - chartMin);
+
+    // One vertex per horizontal pixel is plenty for the drawn line
+    const step = Math.max(1, Math.floor(profile.distances.length / chartWidth));
+    const points = [];
+    for (let i = 0; i < profile.distances.length; i += step) {
+        points.push(profilePoint(profile, i));
+    }
+    points.push(profilePoint(profile, profile.distances.length - 1));
+
+    function profilePoint(p, i) {
+        const x = (p.distances[i] / totalDistance) * chartWidth;
+        const y = chartHeight - ((p.elevations[i] - chartMin) / elevationRange) * chartHeight;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }
+
+    const pathData = `M ${points.join(' L ')}`;
+
+    return `
+        <div class="elevation-chart" data-chart-width="${chartWidth}" data-chart-height="${chartHeight}"
+             data-chart-min="${chartMin}" data-chart-max="${chartMax}">
+            <svg width="${chartWidth}" height="${chartHeight + 40}" viewBox="0 0 ${chartWidth} ${chartHeight + 40}">
+                <!-- Background -->
+                <rect width="${chartWidth}" height="${chartHeight}" fill="#f8f9fa" stroke="#ddd" stroke-width="1"/>
+
+                <!-- Grid lines -->
+                <line x1="0" y1="${chartHeight/3}" x2="${chartWidth}" y2="${chartHeight/3}" stroke="#eee" stroke-width="1"/>
+                <line x1="0" y1="${2*chartHeight/3}" x2="${chartWidth}" y2="${2*chartHeight/3}" stroke="#eee" stroke-width="1"/>
+                <line x1="${chartWidth/3}" y1="0" x2="${chartWidth/3}" y2="${chartHeight}" stroke="#eee" stroke-width="1"/>
+                <line x1="${2*chartWidth/3}" y1="0" x2="${2*chartWidth/3}" y2="${chartHeight}" stroke="#eee" stroke-width="1"/>
+
+                <!-- Elevation area -->
+                <path d="${pathData} L ${chartWidth},${chartHeight} L 0,${chartHeight} Z" fill="rgba(76, 175, 80, 0.2)" stroke="none"/>
+
+                <!-- Elevation line -->
+                <path d="${pathData}" fill="none" stroke="#4CAF50" stroke-width="2"/>
+
+                <!-- Hover cursor -->
+                <g class="elevation-cursor" visibility="hidden">
+                    <line x1="0" y1="0" x2="0" y2="${chartHeight}" stroke="#333" stroke-width="1" stroke-dasharray="3,3"/>
+                    <circle r="4" fill="#4CAF50" stroke="white" stroke-width="2"/>
+                </g>
+
+                <!-- Labels -->
+                <text x="5" y="15" font-size="11" fill="#666">${Math.round(chartMax).toLocaleString()}ft</text>
+                <text x="5" y="${chartHeight - 5}" font-size="11" fill="#666">${Math.round(chartMin).toLocaleString()}ft</text>
+                <text x="5" y="${chartHeight + 20}" font-size="11" fill="#666">0 mi</text>
+                <text x="${chartWidth - 5}" y="${chartHeight + 20}" font-size="11" fill="#666" text-anchor="end">${totalDistance.toFixed(1)} mi</text>
+                <text class="elevation-readout" x="${chartWidth / 2}" y="${chartHeight + 35}" font-size="11" fill="#333" text-anchor="middle"></text>
+            </svg>
+        </div>
+    `;
+}
+
+// Distance (meters) either side of a point used to measure its grade
+const GRADE_WINDOW_METERS = 50;
+const FEET_PER_MILE = 5280;
+
+// Percent grade at a profile point, measured across a short window of trail
+function computeGradeAtIndex(profile, index) {
+    const windowMiles = GRADE_WINDOW_METERS / METERS_PER_MILE;
+    const here = profile.distances[index];
+    const before = findProfileIndexAtDistance(profile, here - windowMiles);
+    const after = findProfileIndexAtDistance(profile, here + windowMiles);
+    const run = (profile.distances[after] - profile.distances[before]) * FEET_PER_MILE;
+    if (run <= 0) return 0;
+    return ((profile.elevations[after] - profile.elevations[before]) / run) * 100;
+}
+
+// Wire up the hover cursor for a chart rendered by createElevationChart.
+// onHover(index) / onLeave() let the caller mirror the cursor elsewhere (the map).
+function attachElevationChartHover(chartElement, profile, onHover, onLeave) {
+    if (!chartElement || !profile) return;
+
+    const svg = chartElement.querySelector('svg');
+    const chartWidth = Number(chartElement.dataset.chartWidth);
+    const totalDistance = profile.distances[profile.distances.length - 1];
+
+    svg.addEventListener('mousemove', (event) => {
+        const rect = svg.getBoundingClientRect();
+        if (!rect.width) return;
+        const x = Math.min(chartWidth, Math.max(0, (event.clientX - rect.left) * (chartWidth / rect.width)));
+        const index = findProfileIndexAtDistance(profile, (x / chartWidth) * totalDistance);
+        showElevationCursor(chartElement, profile, index);
+        if (onHover) onHover(index);
+    });
+
+    svg.addEventListener('mouseleave', () => {
+        hideElevationCursor(chartElement);
+        if (onLeave) onLeave();
+    });
+}
+
+function showElevationCursor(chartElement, profile, index) {
+    const chartWidth = Number(chartElement.dataset.chartWidth);
+    const chartHeight = Number(chartElement.dataset.chartHeight);
+    const chartMin = Number(chartElement.dataset.chartMin);
+    const elevationRange = Math.max(1, Number(chartElement.dataset.chartMax) - chartMin);
+    const totalDistance = profile.distances[profile.distances.length - 1];
+
+    const x = (profile.distances[index] / totalDistance) * chartWidth;
+    const y = chartHeight - ((profile.elevations[index] - chartMin) / elevationRange) * chartHeight;
+
+    const cursor = chartElement.querySelector('.elevation-cursor');
+    cursor.setAttribute('visibility', 'visible');
+    cursor.querySelector('line').setAttribute('x1', x);
+    cursor.querySelector('line').setAttribute('x2', x);
+    cursor.querySelector('circle').setAttribute('cx', x);
+    cursor.querySelector('circle').setAttribute('cy', y);
+
+    const grade = computeGradeAtIndex(profile, index);
+    chartElement.querySelector('.elevation-readout').textContent =
+        `${profile.distances[index].toFixed(1)} mi · ${Math.round(profile.elevations[index]).toLocaleString()}ft · ${grade >= 0 ? '+' : ''}${grade.toFixed(1)}% grade`;
+}
+
+function hideElevationCursor(chartElement) {
+    chartElement.querySelector('.elevation-cursor').setAttribute('visibility', 'hidden');
+    chartElement.querySelector('.elevation-readout').textContent = '';
+}
@@ -0,0 +1,144 @@
+// Encounters along the way: wildlife seen, trail friends met and towns visited, as
+// records with a type, name, count and (optionally) the segment, day or place they
+// happened. Records with a place are mapped; the rest still count in the totals.
+
+const ENCOUNTER_TYPES = [
+    { id: 'wildlife', label: 'Wildlife', heading: 'Wildlife Encounters', icon: 'fa-paw' },
+    { id: 'friend', label: 'Trail friends', heading: 'Trail Friends', icon: 'fa-users' },
+    { id: 'town', label: 'Towns', heading: 'Towns Visited', icon: 'fa-city' }
+];
+// Towns sit miles off the trail; anything within this still belongs to the nearest segment
+const ENCOUNTER_TRAIL_SNAP_METERS = 20000;
+
+async function loadEncounters(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Encounters ${url} could not be loaded (HTTP ${response.status})`);
+    }
+    const raw = await response.json();
+    if (!Array.isArray(raw.encounters)) {
+        throw new Error(`Encounters ${url} has no "encounters" list`);
+    }
+    return raw;
+}
+
+// Fill in where each record sits on the trip. `segment` and `day` are ids as shown in
+// the sidebar; `mile` is a trip mile and `coords` a [lat, lon] place. Returns
+// { id, type, name, plural, count, variant, notes, coords, tripMeters, segmentIndex, dayIndex },
+// with count null for "countless".
+function resolveEncounters(raw, segments, itinerary) {
+    const trip = buildTripGeometry(segments);
+    const tripIndex = getSpatialIndex(trip.coords);
+    const days = itinerary || [];
+    const encounters = [];
+
+    raw.encounters.forEach((entry, i) => {
+        if (!ENCOUNTER_TYPES.some(type => type.id === entry.type) || !entry.name) {
+            console.warn(`Encounter ${i + 1} needs a name and a type of ${ENCOUNTER_TYPES.map(type => type.id).join(', ')}; skipping it`);
+            return;
+        }
+
+        let coords = Array.isArray(entry.coords) ? [entry.coords[0], entry.coords[1]] : null;
+        let tripMeters = null;
+        if (Number.isFinite(entry.mile)) {
+            tripMeters = Math.max(0, Math.min(trip.totalMeters, entry.mile * METERS_PER_MILE));
+            coords = coords || pointAtChainage(trip.coords, trip.cumulativeMeters, tripMeters).slice(0, 2);
+        } else if (coords) {
+            const hit = tripIndex.nearestOnLine(coords, trip.cumulativeMeters, ENCOUNTER_TRAIL_SNAP_METERS);
+            tripMeters = hit ? hit.chainageMeters : null;
+        }
+
+        let dayIndex = Number.isInteger(entry.day) && days[entry.day - 1] ? entry.day - 1 : -1;
+        if (dayIndex === -1 && tripMeters !== null) {
+            const tripMile = tripMeters / METERS_PER_MILE;
+            dayIndex = days.findIndex(day => day.type !== 'zero' && tripMile >= day.startMile && tripMile <= day.endMile);
+        }
+
+        let segmentIndex = segments.findIndex(segment => segment.id === entry.segment);
+        if (segmentIndex === -1 && tripMeters !== null) {
+            segmentIndex = trip.segmentStarts.length - 1;
+            while (segmentIndex > 0 && trip.segmentStarts[segmentIndex] > tripMeters) segmentIndex--;
+        }
+        if (segmentIndex === -1 && dayIndex !== -1) {
+            segmentIndex = segments.findIndex(segment => segment.id === days[dayIndex].segmentIds[0]);
+        }
+
+        encounters.push({
+            id: encounters.length + 1,
+            type: entry.type,
+            name: entry.name,
+            plural: entry.plural || (entry.type === 'wildlife' ? `${entry.name}s` : entry.name),
+            count: entry.count === null ? null : (Number.isFinite(entry.count) ? entry.count : 1),
+            variant: entry.variant || null,
+            notes: entry.notes || '',
+            coords: coords,
+            tripMeters: tripMeters,
+            segmentIndex: segmentIndex,
+            dayIndex: dayIndex
+        });
+    });
+
+    return encounters;
+}
+
+// Totals per type and per name, e.g. moose: 4 (female 3, male 1). Names keep the
+// order they first appear in.
+function summarizeEncounters(encounters) {
+    return ENCOUNTER_TYPES.map(type => {
+        const groups = [];
+        encounters.filter(encounter => encounter.type === type.id).forEach(encounter => {
+            let group = groups.find(candidate => candidate.name.toLowerCase() === encounter.name.toLowerCase());
+            if (!group) {
+                group = { name: encounter.name, plural: encounter.plural, count: 0, countless: false, variants: [] };
+                groups.push(group);
+            }
+            if (encounter.count === null) {
+                group.countless = true;
+                return;
+            }
+            group.count += encounter.count;
+            if (encounter.variant) {
+                const variant = group.variants.find(candidate => candidate.variant === encounter.variant);
+                if (variant) variant.count += encounter.count;
+                else group.variants.push({ variant: encounter.variant, count: encounter.count });
+            }
+        });
+        return { type: type, groups: groups };
+    }).filter(summary => summary.groups.length > 0);
+}
+
+// "4 moose: 3 female, 1 male", "countless pikas", or just the name of a friend or town
+function formatEncounterGroup(group) {
+    if (group.countless) return `countless ${group.plural}`;
+    if (group.count === 1 && group.variants.length === 0) return group.name;
+    const text = `${group.count} ${group.count === 1 ? group.name : group.plural}`;
+    if (group.variants.length === 0) return text;
+    return `${text}: ${group.variants.map(variant => `${variant.count} ${variant.variant}`).join(', ')}`;
+}
+
+// One record on its own: "3 female moose", "countless pikas", "Leadville"
+function formatEncounter(encounter) {
+    if (encounter.count === null) return `countless ${encounter.plural}`;
+    const noun = encounter.count === 1 ? encounter.name : encounter.plural;
+    if (encounter.variant) return `${encounter.count} ${encounter.variant} ${noun}`;
+    return encounter.count === 1 ? encounter.name : `${encounter.count} ${noun}`;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Counters for the welcome panel, or for one segment or day when given its encounters
+function renderEncounterHighlights(encounters) {
+    const sections = summarizeEncounters(encounters).map(summary => {
+        // "countless pikas, marmots, deer" rather than repeating "countless"
+        const counted = summary.groups.filter(group => !group.countless).map(formatEncounterGroup);
+        const countless = summary.groups.filter(group => group.countless).map(group => group.plural);
+        if (countless.length > 0) counted.push(`countless ${countless.join(', ')}`);
+        return `
+            <h4><i class="fas ${summary.type.icon}"></i> ${summary.type.heading}</h4>
+            <p>${counted.map(escapeHtml).join(', ')}</p>
+        `;
+    });
+    return sections.length > 0 ? `<div class="adventure-highlights">${sections.join('')}</div>` : '';
+}
@@ -0,0 +1,198 @@
+// Hiking-time estimates worked out from a track's own elevation: Tobler's hiking
+// function applied stretch by stretch to the real grade, and Naismith's rule (with
+// Langmuir's corrections for descents) on the same climbs and drops. Both are scaled
+// to the hiker's pace on the flat and slowed for a heavy pack. The planner turns a
+// start date and a daily mileage target into a camp-by-camp schedule.
+
+const ESTIMATOR_STORAGE_KEY = 'trail-journey-estimator';
+const ESTIMATOR_DEFAULTS = {
+    method: 'tobler', // which rule drives the totals and the planner
+    flatMph: 3, // pace on level trail with a light pack
+    packPounds: 25,
+    startDate: null, // planner; today (local) when unset
+    milesPerDay: 14
+};
+const ESTIMATOR_METHODS = { tobler: 'Tobler', naismith: 'Naismith' };
+// Grade is taken over stretches at least this long of the smoothed profile
+const ESTIMATOR_STEP_METERS = 100;
+// A pack up to this weight is already part of the flat pace...
+const ESTIMATOR_BASE_PACK_POUNDS = 20;
+// ...and each pound over it slows every stretch by this fraction
+const ESTIMATOR_SLOWDOWN_PER_POUND = 0.008;
+// Tobler's speed on level ground, which the hiker's flat pace replaces
+const TOBLER_FLAT_FACTOR = Math.exp(-3.5 * 0.05);
+// Naismith: an extra hour per 600 m climbed; Langmuir: descents of 5–12° save ten
+// minutes per 300 m, steeper ones cost ten
+const NAISMITH_CLIMB_METERS_PER_HOUR = 600;
+const LANGMUIR_MINUTES_PER_300M = 10;
+const LANGMUIR_GENTLE_GRADE = Math.tan(5 * Math.PI / 180);
+const LANGMUIR_STEEP_GRADE = Math.tan(12 * Math.PI / 180);
+// Planned camps move to a named place within this share of a day's miles of the target
+const PLAN_CAMP_SNAP_FRACTION = 0.2;
+// Planned days estimated longer than this are flagged
+const PLAN_LONG_DAY_HOURS = 10;
+
+function loadEstimatorSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ESTIMATOR_STORAGE_KEY) || 'null');
+        return normalizeEstimatorSettings(saved || {});
+    } catch (error) {
+        return { ...ESTIMATOR_DEFAULTS };
+    }
+}
+
+function saveEstimatorSettings(settings) {
+    try {
+        localStorage.setItem(ESTIMATOR_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Estimator settings could not be saved on this device:', error);
+    }
+}
+
+// Keep numbers in a sensible range so a half-typed field can't stall the planner
+function normalizeEstimatorSettings(raw) {
+    const number = (value, fallback, min, max) => {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) && parsed > 0 ? Math.min(max, Math.max(min, parsed)) : fallback;
+    };
+    return {
+        method: ESTIMATOR_METHODS[raw.method] ? raw.method : ESTIMATOR_DEFAULTS.method,
+        flatMph: number(raw.flatMph, ESTIMATOR_DEFAULTS.flatMph, 0.5, 6),
+        packPounds: Number.isFinite(Number(raw.packPounds)) ? Math.min(100, Math.max(0, Number(raw.packPounds))) : ESTIMATOR_DEFAULTS.packPounds,
+        startDate: /^\d{4}-\d{2}-\d{2}$/.test(raw.startDate || '') ? raw.startDate : null,
+        milesPerDay: number(raw.milesPerDay, ESTIMATOR_DEFAULTS.milesPerDay, 1, 40)
+    };
+}
+
+function packSlowdown(settings) {
+    return 1 + Math.max(0, settings.packPounds - ESTIMATOR_BASE_PACK_POUNDS) * ESTIMATOR_SLOWDOWN_PER_POUND;
+}
+
+// Hours for one stretch by each rule; grade is rise over run
+function toblerHours(meters, grade, flatMps) {
+    const mps = flatMps * Math.exp(-3.5 * Math.abs(grade + 0.05)) / TOBLER_FLAT_FACTOR;
+    return meters / mps / 3600;
+}
+
+function naismithHours(meters, rise, flatMps) {
+    let hours = meters / flatMps / 3600;
+    if (rise > 0) {
+        hours += rise / NAISMITH_CLIMB_METERS_PER_HOUR;
+    } else if (rise < 0) {
+        const grade = -rise / meters;
+        const correction = (-rise / 300) * (LANGMUIR_MINUTES_PER_300M / 60);
+        if (grade > LANGMUIR_STEEP_GRADE) hours += correction;
+        else if (grade > LANGMUIR_GENTLE_GRADE) hours -= correction;
+    }
+    return hours;
+}
+
+// Estimated moving time over [lat, lon, ele] coordinates:
+// { movingMs, toblerMs, naismithMs, distanceMeters, climbMeters, steepestGrade, flat }.
+// Without elevation both rules fall back to the flat pace (flat: true).
+function estimateHikingTime(coords, cumulativeMeters, settings) {
+    if (!coords || coords.length < 2) return null;
+
+    const distanceMeters = cumulativeMeters[cumulativeMeters.length - 1];
+    const flatMps = (settings.flatMph * METERS_PER_MILE) / 3600;
+    const slowdown = packSlowdown(settings);
+    const flat = !coords.every(c => Number.isFinite(c[2]));
+
+    let tobler = 0;
+    let naismith = 0;
+    let climbMeters = 0;
+    let steepestGrade = 0;
+    if (flat) {
+        tobler = naismith = distanceMeters / flatMps / 3600;
+    } else {
+        const elevations = smoothElevations(coords.map(c => c[2]), cumulativeMeters, ELEVATION_SMOOTHING_WINDOW_METERS);
+        let from = 0;
+        for (let i = 1; i < coords.length; i++) {
+            const meters = cumulativeMeters[i] - cumulativeMeters[from];
+            if (meters < ESTIMATOR_STEP_METERS && i < coords.length - 1) continue;
+            if (meters > 0) {
+                const rise = elevations[i] - elevations[from];
+                tobler += toblerHours(meters, rise / meters, flatMps);
+                naismith += naismithHours(meters, rise, flatMps);
+                if (rise > 0) climbMeters += rise;
+                if (meters >= ESTIMATOR_STEP_METERS) steepestGrade = Math.max(steepestGrade, Math.abs(rise / meters));
+            }
+            from = i;
+        }
+    }
+
+    const toblerMs = tobler * slowdown * 3600 * 1000;
+    const naismithMs = naismith * slowdown * 3600 * 1000;
+    return {
+        movingMs: settings.method === 'naismith' ? naismithMs : toblerMs,
+        toblerMs: toblerMs,
+        naismithMs: naismithMs,
+        distanceMeters: distanceMeters,
+        climbMeters: climbMeters,
+        steepestGrade: steepestGrade,
+        flat: flat
+    };
+}
+
+// ISO date `days` after another, without shifting it across time zones
+function addDaysToIsoDate(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Split a trail ({ coords, cumulativeMeters }) into days of about settings.milesPerDay,
+// ending each at a named place ({ name, trailMeters }) near the target when there is
+// one. Days come back shaped like itinerary days, so the map can highlight them:
+// [{ id, name, date, start_location, finish_location, distance, startMile, endMile,
+//    coordinates, cumulativeMeters, elevation, estimate, long }]
+function planSchedule(trail, places, settings) {
+    const totalMeters = trail.cumulativeMeters[trail.cumulativeMeters.length - 1] || 0;
+    const dayMeters = settings.milesPerDay * METERS_PER_MILE;
+    const snapMeters = dayMeters * PLAN_CAMP_SNAP_FRACTION;
+    const startDate = settings.startDate || localDateKey(Date.now());
+    const sorted = places.filter(place => place.trailMeters !== null).sort((a, b) => a.trailMeters - b.trailMeters);
+
+    const days = [];
+    let startMeters = 0;
+    let previousCamp = sorted.length > 0 && sorted[0].trailMeters < snapMeters ? sorted[0].name : 'Trailhead';
+    while (totalMeters - startMeters > 1) {
+        const target = startMeters + dayMeters;
+        let endMeters;
+        let campName;
+        if (target >= totalMeters - snapMeters) {
+            endMeters = totalMeters;
+            campName = sorted.length > 0 && totalMeters - sorted[sorted.length - 1].trailMeters < snapMeters
+                ? sorted[sorted.length - 1].name
+                : 'End of the trail';
+        } else {
+            const nearby = sorted
+                .filter(place => Math.abs(place.trailMeters - target) <= snapMeters && place.trailMeters > startMeters)
+                .sort((a, b) => Math.abs(a.trailMeters - target) - Math.abs(b.trailMeters - target))[0];
+            endMeters = nearby ? nearby.trailMeters : target;
+            campName = nearby ? nearby.name : `Camp near mile ${(target / METERS_PER_MILE).toFixed(1)}`;
+        }
+
+        const coordinates = sliceAtChainage(trail.coords, trail.cumulativeMeters, startMeters, endMeters);
+        const cumulativeMeters = computeCumulativeMeters(coordinates);
+        const estimate = estimateHikingTime(coordinates, cumulativeMeters, settings);
+        const number = days.length + 1;
+        days.push({
+            id: number,
+            name: `Day ${number}`,
+            date: addDaysToIsoDate(startDate, days.length),
+            start_location: previousCamp,
+            finish_location: campName,
+            distance: Math.round(((endMeters - startMeters) / METERS_PER_MILE) * 10) / 10,
+            startMile: startMeters / METERS_PER_MILE,
+            endMile: endMeters / METERS_PER_MILE,
+            coordinates: coordinates,
+            cumulativeMeters: cumulativeMeters,
+            elevation: buildElevationProfile(coordinates),
+            estimate: estimate,
+            long: estimate !== null && estimate.movingMs > PLAN_LONG_DAY_HOURS * 3600 * 1000
+        });
+
+        startMeters = endMeters;
+        previousCamp = campName;
+    }
+    return days;
+}
@@ -0,0 +1,152 @@
+// Exporting the assembled route: the processed segments (or itinerary days) as GPX,
+// GeoJSON, KML or a CSV table of their stats, for loading into GPS apps and spreadsheets.
+
+const EXPORT_FORMATS = [
+    { id: 'gpx', label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    { id: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    { id: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+];
+// ~10 cm, plenty for a hiking track and keeps files small
+const EXPORT_COORDINATE_DECIMALS = 6;
+
+// The file for one format: { fileName, mimeType, text }, or null when there is nothing
+// to export. `items` are segments or days; `meta` names the export ({ name, description, fileBase }).
+function buildExport(formatId, items, meta) {
+    const format = EXPORT_FORMATS.find(candidate => candidate.id === formatId);
+    if (!format) throw new Error(`Unknown export format "${formatId}"`);
+    if (items.length === 0) return null;
+
+    const builders = { gpx: buildGpxExport, geojson: buildGeoJsonExport, kml: buildKmlExport, csv: buildCsvExport };
+    return {
+        fileName: `${slugify(meta.fileBase)}.${format.extension}`,
+        mimeType: format.mimeType,
+        text: builders[format.id](items, meta)
+    };
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'route';
+}
+
+const roundCoordinate = (value) => Number(value.toFixed(EXPORT_COORDINATE_DECIMALS));
+const hasElevation = (coord) => Number.isFinite(coord[2]);
+
+// Per-item properties shared by the GeoJSON features and the CSV rows
+function exportProperties(item) {
+    const elevation = item.elevation;
+    const trackMeters = item.cumulativeMeters[item.cumulativeMeters.length - 1] || 0;
+    return {
+        id: item.id,
+        name: item.name,
+        start_location: item.start_location,
+        finish_location: item.finish_location,
+        distance_miles: Number(item.distance),
+        track_miles: Math.round((trackMeters / METERS_PER_MILE) * 100) / 100,
+        elevation_gain_ft: elevation ? elevation.gain : null,
+        elevation_loss_ft: elevation ? elevation.loss : null,
+        max_elevation_ft: elevation ? elevation.maxElevation : null,
+        min_elevation_ft: elevation ? elevation.minElevation : null,
+        moving_time_minutes: item.timing ? Math.round(item.timing.movingMs / 60000) : null,
+        elapsed_time_minutes: item.timing ? Math.round(item.timing.elapsedMs / 60000) : null,
+        notes: item.notes || ''
+    };
+}
+
+// One <trk> per segment with elevation (and times when the track has them), plus a
+// waypoint at every segment start and at the finish
+function buildGpxExport(items, meta) {
+    const waypoints = items.map(item => ({ name: item.start_location, coord: item.coordinates[0] }));
+    const lastItem = items[items.length - 1];
+    waypoints.push({ name: lastItem.finish_location, coord: lastItem.coordinates[lastItem.coordinates.length - 1] });
+
+    const pointXml = (tag, coord, inner) =>
+        `<${tag} lat="${roundCoordinate(coord[0])}" lon="${roundCoordinate(coord[1])}">${inner}</${tag}>`;
+    const eleXml = (coord) => hasElevation(coord) ? `<ele>${coord[2].toFixed(1)}</ele>` : '';
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Trail Journey" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><name>${escapeHtml(meta.name)}</name><desc>${escapeHtml(meta.description)}</desc></metadata>`
+    ];
+    waypoints.forEach(waypoint => {
+        lines.push(`  ${pointXml('wpt', waypoint.coord, `${eleXml(waypoint.coord)}<name>${escapeHtml(waypoint.name)}</name>`)}`);
+    });
+    items.forEach(item => {
+        lines.push('  <trk>');
+        lines.push(`    <name>${escapeHtml(item.name)}</name>`);
+        lines.push(`    <desc>${escapeHtml(`${item.start_location} to ${item.finish_location}`)}</desc>`);
+        lines.push('    <trkseg>');
+        item.coordinates.forEach((coord, i) => {
+            const time = item.times ? `<time>${new Date(item.times[i]).toISOString()}</time>` : '';
+            lines.push(`      ${pointXml('trkpt', coord, eleXml(coord) + time)}`);
+        });
+        lines.push('    </trkseg>');
+        lines.push('  </trk>');
+    });
+    lines.push('</gpx>');
+    return lines.join('\n') + '\n';
+}
+
+function buildGeoJsonExport(items, meta) {
+    const collection = {
+        type: 'FeatureCollection',
+        name: meta.name,
+        features: items.map(item => {
+            const properties = exportProperties(item);
+            if (item.times) {
+                properties.coordTimes = item.times.map(time => new Date(time).toISOString());
+            }
+            return {
+                type: 'Feature',
+                properties: properties,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: item.coordinates.map(coord => hasElevation(coord)
+                        ? [roundCoordinate(coord[1]), roundCoordinate(coord[0]), Number(coord[2].toFixed(1))]
+                        : [roundCoordinate(coord[1]), roundCoordinate(coord[0])])
+                }
+            };
+        })
+    };
+    return JSON.stringify(collection, null, 2) + '\n';
+}
+
+// One Placemark per segment (or day), each in its map color
+function buildKmlExport(items, meta) {
+    // KML colors are aabbggrr
+    const kmlColor = (hex) => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeHtml(meta.name)}</name>`,
+        `    <description>${escapeHtml(meta.description)}</description>`
+    ];
+    items.forEach(item => {
+        const coordinates = item.coordinates
+            .map(coord => [roundCoordinate(coord[1]), roundCoordinate(coord[0])]
+                .concat(hasElevation(coord) ? [coord[2].toFixed(1)] : []).join(','))
+            .join(' ');
+        lines.push('    <Placemark>');
+        lines.push(`      <name>${escapeHtml(item.name)}</name>`);
+        lines.push(`      <description>${escapeHtml(`${item.start_location} to ${item.finish_location}, ${item.distance} miles`)}</description>`);
+        lines.push(`      <Style><LineStyle><color>${kmlColor(getSegmentColor(item.id - 1))}</color><width>4</width></LineStyle></Style>`);
+        lines.push(`      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`);
+        lines.push('    </Placemark>');
+    });
+    lines.push('  </Document>');
+    lines.push('</kml>');
+    return lines.join('\n') + '\n';
+}
+
+// One row per segment; fields are quoted when they hold commas, quotes or newlines
+function buildCsvExport(items) {
+    const rows = items.map(exportProperties);
+    const columns = Object.keys(rows[0]);
+    const field = (value) => {
+        const text = value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => field(row[column])).join(','))].join('\n') + '\n';
+}
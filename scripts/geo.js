@@ -0,0 +1,151 @@
+// Geo utilities: geodesic distance, bearing, point-to-polyline projection and chainage.
+// Coordinates are [lat, lon] arrays (an optional third element, elevation, is ignored).
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_MILE = 1609.344;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Haversine distance in meters between two [lat, lon]
+function haversineMeters(a, b) {
+    const dLat = toRadians(b[0] - a[0]);
+    const dLon = toRadians(b[1] - a[1]);
+    const lat1 = toRadians(a[0]);
+    const lat2 = toRadians(b[0]);
+    const s = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(s)));
+}
+
+// Initial bearing from a to b, in degrees clockwise from north (0..360)
+function bearingDegrees(a, b) {
+    const lat1 = toRadians(a[0]);
+    const lat2 = toRadians(b[0]);
+    const dLon = toRadians(b[1] - a[1]);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Cumulative distance along a polyline (chainage) in meters, one entry per vertex
+function computeCumulativeMeters(coords) {
+    if (!coords || coords.length === 0) return [];
+    const cum = new Array(coords.length).fill(0);
+    for (let i = 1; i < coords.length; i++) {
+        cum[i] = cum[i - 1] + haversineMeters(coords[i - 1], coords[i]);
+    }
+    return cum;
+}
+
+function polylineLengthMeters(coords) {
+    let total = 0;
+    for (let i = 1; i < coords.length; i++) {
+        total += haversineMeters(coords[i - 1], coords[i]);
+    }
+    return total;
+}
+
+// Project a point onto the segment a→b. Works in a local equirectangular plane centered
+// on the point (accurate at trail scale, and scales longitude by cos(latitude) so
+// east–west offsets count the same as north–south ones).
+// Returns the fraction along a→b (0..1), the projected [lat, lon] and its distance in meters.
+function projectOntoSegment(point, a, b) {
+    const cosLat = Math.cos(toRadians(point[0]));
+    const ax = (a[1] - point[1]) * cosLat;
+    const ay = a[0] - point[0];
+    const bx = (b[1] - point[1]) * cosLat;
+    const by = b[0] - point[0];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+
+    let fraction = lengthSquared > 0 ? -(ax * dx + ay * dy) / lengthSquared : 0;
+    fraction = Math.max(0, Math.min(1, fraction));
+
+    const projected = [a[0] + (b[0] - a[0]) * fraction, a[1] + (b[1] - a[1]) * fraction];
+    return { fraction, point: projected, distanceMeters: haversineMeters(point, projected) };
+}
+
+// Nearest point on a polyline. `index` is the vertex starting the closest segment;
+// chainageMeters is the distance along the line to the projected point when
+// cumulativeMeters (from computeCumulativeMeters) is supplied.
+function projectOntoPolyline(point, coords, cumulativeMeters) {
+    if (!coords || coords.length === 0) return null;
+    if (coords.length === 1) {
+        return { index: 0, fraction: 0, point: [coords[0][0], coords[0][1]], distanceMeters: haversineMeters(point, coords[0]), chainageMeters: 0 };
+    }
+
+    let best = null;
+    for (let i = 0; i < coords.length - 1; i++) {
+        const projection = projectOntoSegment(point, coords[i], coords[i + 1]);
+        if (!best || projection.distanceMeters < best.distanceMeters) {
+            best = { index: i, ...projection };
+        }
+    }
+
+    return { ...best, chainageMeters: chainageAtProjection(best, coords, cumulativeMeters) };
+}
+
+function chainageAtProjection(projection, coords, cumulativeMeters) {
+    if (!cumulativeMeters) return null;
+    const i = projection.index;
+    return cumulativeMeters[i] + (cumulativeMeters[i + 1] - cumulativeMeters[i]) * projection.fraction;
+}
+
+// Nearest vertex of a projection: whichever end of the closest segment it lies nearer to
+function nearestVertexOfProjection(projection) {
+    return projection.fraction > 0.5 ? projection.index + 1 : projection.index;
+}
+
+// Index of the vertex starting the piece of line that contains a chainage
+function vertexIndexAtChainage(cumulativeMeters, chainageMeters) {
+    let lo = 0;
+    let hi = cumulativeMeters.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (cumulativeMeters[mid] <= chainageMeters) lo = mid;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// The [lat, lon] at a given chainage along a polyline, interpolating between vertices
+function pointAtChainage(coords, cumulativeMeters, chainageMeters) {
+    if (chainageMeters <= 0) return [coords[0][0], coords[0][1]];
+    const last = coords.length - 1;
+    if (chainageMeters >= cumulativeMeters[last]) return [coords[last][0], coords[last][1]];
+
+    const lo = vertexIndexAtChainage(cumulativeMeters, chainageMeters);
+    const hi = lo + 1;
+    const span = cumulativeMeters[hi] - cumulativeMeters[lo];
+    const t = span > 0 ? (chainageMeters - cumulativeMeters[lo]) / span : 0;
+    return [
+        coords[lo][0] + (coords[hi][0] - coords[lo][0]) * t,
+        coords[lo][1] + (coords[hi][1] - coords[lo][1]) * t
+    ];
+}
+
+// The stretch of a polyline between two chainages, with interpolated end points.
+// Unlike pointAtChainage the end points keep an interpolated elevation when the line has one.
+// Also slices any per-vertex numbers (such as timestamps) the same way.
+function sliceAtChainage(coords, cumulativeMeters, fromMeters, toMeters) {
+    const last = coords.length - 1;
+    const lerp = (a, b, t) => Array.isArray(a) ? a.map((value, k) => value + (b[k] - value) * t) : a + (b - a) * t;
+    const interpolate = (chainage) => {
+        if (chainage <= 0) return coords[0];
+        if (chainage >= cumulativeMeters[last]) return coords[last];
+        const i = vertexIndexAtChainage(cumulativeMeters, chainage);
+        const span = cumulativeMeters[i + 1] - cumulativeMeters[i];
+        const t = span > 0 ? (chainage - cumulativeMeters[i]) / span : 0;
+        return lerp(coords[i], coords[i + 1], t);
+    };
+
+    const from = Math.max(0, Math.min(fromMeters, toMeters));
+    const to = Math.min(cumulativeMeters[last], Math.max(fromMeters, toMeters));
+    const slice = [interpolate(from)];
+    for (let i = vertexIndexAtChainage(cumulativeMeters, from) + 1; i <= last && cumulativeMeters[i] < to; i++) {
+        if (cumulativeMeters[i] > from) slice.push(coords[i]);
+    }
+    slice.push(interpolate(to));
+    return slice;
+}
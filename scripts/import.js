@@ -0,0 +1,330 @@
+// The user's own tracks: GPX, GeoJSON or KML files dropped on the map are parsed in the
+// browser into tracks ([lat, lon, ele] plus optional timestamps) and waypoints, then
+// compared with a trip's segments to see how much of the trail they cover.
+
+const IMPORT_FORMATS = { gpx: 'GPX', geojson: 'GeoJSON', json: 'GeoJSON', kml: 'KML' };
+// Imported points closer than this to a segment count as on the trail
+const IMPORT_ON_TRAIL_METERS = 50;
+// Deviation is only measured this far out; anything beyond is simply off the trail
+const IMPORT_SEARCH_METERS = 5000;
+// Imported waypoints this close to a track's end name it in the segment list
+const IMPORT_WAYPOINT_NAME_METERS = 500;
+
+// Parse a dropped File by its extension, or by sniffing the content when it has none.
+// Throws an Error with a message fit to show the user.
+async function readImportFile(file) {
+    const text = await file.text();
+    const format = detectImportFormat(file.name, text);
+    if (!format) {
+        throw new Error(`${file.name} is not a GPX, GeoJSON or KML file`);
+    }
+
+    const parsed = format === 'GPX' ? parseGpxImport(text)
+        : format === 'KML' ? parseKmlImport(text)
+        : parseGeoJsonImport(text);
+    const tracks = parsed.tracks.filter(track => track.coords.length >= 2);
+    if (tracks.length === 0) {
+        throw new Error(`${file.name} has no tracks or lines to show`);
+    }
+
+    return {
+        name: parsed.name || file.name.replace(/\.[^.]+$/, ''),
+        fileName: file.name,
+        format: format,
+        tracks: tracks,
+        waypoints: parsed.waypoints,
+        waypointCoords: parsed.waypoints.map(waypoint => waypoint.coords)
+    };
+}
+
+function detectImportFormat(fileName, text) {
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    if (IMPORT_FORMATS[extension]) return IMPORT_FORMATS[extension];
+
+    const start = text.trimStart().slice(0, 1000);
+    if (start.startsWith('{')) return 'GeoJSON';
+    if (/<gpx[\s>]/.test(start)) return 'GPX';
+    if (/<kml[\s>]/.test(start)) return 'KML';
+    return null;
+}
+
+function parseXmlImport(text, format, rootName) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const error = doc.getElementsByTagName('parsererror')[0];
+    if (error) {
+        throw new Error(`Not valid ${format}: ${error.textContent.trim().split('\n')[0]}`);
+    }
+    if (doc.documentElement.localName !== rootName) {
+        throw new Error(`Not a ${format} file: expected <${rootName}> but found <${doc.documentElement.localName}>`);
+    }
+    return doc;
+}
+
+// gpxParser reads names as markup, so "&" arrives as "&amp;"
+function decodeXmlEntities(value) {
+    if (!value) return value;
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// GPX goes through gpxParser like the bundled trail; routes count as tracks too
+function parseGpxImport(text) {
+    parseXmlImport(text, 'GPX', 'gpx');
+    const parser = new gpxParser();
+    parser.parse(text);
+
+    const toTrack = (line, label, i) => ({
+        name: decodeXmlEntities(line.name) || `${label} ${i + 1}`,
+        coords: line.points.map(p => [p.lat, p.lon, p.ele]),
+        times: completeTimestamps(line.points.map(p => p.time ? p.time.getTime() : NaN))
+    });
+    return {
+        name: decodeXmlEntities(parser.metadata.name) || null,
+        tracks: [
+            ...parser.tracks.map((track, i) => toTrack(track, 'Track', i)),
+            ...parser.routes.map((route, i) => toTrack(route, 'Route', i))
+        ],
+        waypoints: parser.waypoints.map((waypoint, i) => ({
+            name: decodeXmlEntities(waypoint.name) || `Waypoint ${i + 1}`,
+            coords: [waypoint.lat, waypoint.lon, waypoint.ele]
+        }))
+    };
+}
+
+// Text of an element's own <name> (or other) child, ignoring nested placemarks
+function kmlChildText(element, localName) {
+    const child = Array.from(element.children).find(candidate => candidate.localName === localName);
+    return child ? child.textContent.trim() : null;
+}
+
+// "lon,lat[,alt] lon,lat[,alt] ..." as [lat, lon, ele] coordinates
+function parseKmlCoordinates(text) {
+    return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => {
+        const [lon, lat, ele] = tuple.split(',').map(Number);
+        return [lat, lon, Number.isFinite(ele) ? ele : null];
+    }).filter(coord => Number.isFinite(coord[0]) && Number.isFinite(coord[1]));
+}
+
+// Placemarks with LineStrings (also inside MultiGeometry), gx:Track recordings with
+// their <when> timestamps, and Points as waypoints
+function parseKmlImport(text) {
+    const doc = parseXmlImport(text, 'KML', 'kml');
+    const tracks = [];
+    const waypoints = [];
+
+    Array.from(doc.getElementsByTagName('Placemark')).forEach((placemark, i) => {
+        const name = kmlChildText(placemark, 'name') || `Placemark ${i + 1}`;
+
+        Array.from(placemark.getElementsByTagName('LineString')).forEach(line => {
+            tracks.push({ name: name, coords: parseKmlCoordinates(kmlChildText(line, 'coordinates')), times: null });
+        });
+
+        Array.from(placemark.getElementsByTagNameNS('*', 'Track')).forEach(track => {
+            const whens = Array.from(track.getElementsByTagNameNS('*', 'when'));
+            const coords = Array.from(track.getElementsByTagNameNS('*', 'coord')).map(coord => {
+                const [lon, lat, ele] = coord.textContent.trim().split(/\s+/).map(Number);
+                return [lat, lon, Number.isFinite(ele) ? ele : null];
+            });
+            const times = whens.length === coords.length ? whens.map(when => Date.parse(when.textContent.trim())) : [];
+            tracks.push({ name: name, coords: coords, times: completeTimestamps(times) });
+        });
+
+        Array.from(placemark.getElementsByTagName('Point')).forEach(point => {
+            const coords = parseKmlCoordinates(kmlChildText(point, 'coordinates'))[0];
+            if (coords) waypoints.push({ name: name, coords: coords });
+        });
+    });
+
+    const documentElement = doc.getElementsByTagName('Document')[0];
+    return { name: documentElement ? kmlChildText(documentElement, 'name') : null, tracks, waypoints };
+}
+
+// LineStrings and MultiLineStrings become tracks (with timestamps from the
+// properties.coordTimes that GPX converters write), Points become waypoints
+function parseGeoJsonImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid GeoJSON: ${error.message}`);
+    }
+    if (!data || typeof data.type !== 'string') {
+        throw new Error('Not a GeoJSON file: there is no "type"');
+    }
+
+    const features = data.type === 'FeatureCollection' ? data.features || []
+        : data.type === 'Feature' ? [data]
+        : [{ type: 'Feature', geometry: data, properties: {} }];
+    const tracks = [];
+    const waypoints = [];
+    const toCoord = (position) => [position[1], position[0], Number.isFinite(position[2]) ? position[2] : null];
+    const toTimes = (coordTimes) => completeTimestamps((coordTimes || []).map(time => Date.parse(time)));
+
+    const addGeometry = (geometry, name, coordTimes) => {
+        if (!geometry) return;
+        if (geometry.type === 'LineString') {
+            tracks.push({ name: name, coords: geometry.coordinates.map(toCoord), times: toTimes(coordTimes) });
+        } else if (geometry.type === 'MultiLineString') {
+            geometry.coordinates.forEach((line, k) => {
+                const lineTimes = Array.isArray(coordTimes) && Array.isArray(coordTimes[k]) ? coordTimes[k] : null;
+                const lineName = geometry.coordinates.length > 1 ? `${name} (${k + 1})` : name;
+                tracks.push({ name: lineName, coords: line.map(toCoord), times: toTimes(lineTimes) });
+            });
+        } else if (geometry.type === 'Point') {
+            waypoints.push({ name: name, coords: toCoord(geometry.coordinates) });
+        } else if (geometry.type === 'MultiPoint') {
+            geometry.coordinates.forEach(position => waypoints.push({ name: name, coords: toCoord(position) }));
+        } else if (geometry.type === 'GeometryCollection') {
+            (geometry.geometries || []).forEach(part => addGeometry(part, name, null));
+        }
+    };
+
+    features.forEach((feature, i) => {
+        const properties = feature.properties || {};
+        addGeometry(feature.geometry, properties.name || `Feature ${i + 1}`, properties.coordTimes);
+    });
+
+    return { name: data.name || null, tracks, waypoints };
+}
+
+// Merge [from, to] chainage intervals that overlap
+function mergeIntervals(intervals) {
+    const merged = [];
+    intervals.slice().sort((a, b) => a[0] - b[0]).forEach(interval => {
+        const last = merged[merged.length - 1];
+        if (last && interval[0] <= last[1]) {
+            last[1] = Math.max(last[1], interval[1]);
+        } else {
+            merged.push(interval.slice());
+        }
+    });
+    return merged;
+}
+
+// Nearest point on the trip within reach of a chainage, so consecutive imported points
+// follow the trail instead of hopping to where it doubles back on itself. Where the
+// trail retraces its steps, every meter moved along it counts as a centimeter off it.
+function projectNearChainage(point, trip, chainageMeters, reachMeters) {
+    let best = null;
+    let bestScore = Infinity;
+    let i = vertexIndexAtChainage(trip.cumulativeMeters, Math.max(0, chainageMeters - reachMeters));
+    for (; i < trip.coords.length - 1 && trip.cumulativeMeters[i] <= chainageMeters + reachMeters; i++) {
+        const projection = { index: i, ...projectOntoSegment(point, trip.coords[i], trip.coords[i + 1]) };
+        projection.chainageMeters = chainageAtProjection(projection, trip.coords, trip.cumulativeMeters);
+        const score = projection.distanceMeters + Math.abs(projection.chainageMeters - chainageMeters) * 0.01;
+        if (score < bestScore) {
+            best = projection;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// How an import lines up with a trip's segments: the share of it on the trail, how far
+// it strays, the stretches that leave the trail, and how much of each segment it covers
+function compareWithSegments(tracks, segments) {
+    const trip = buildTripGeometry(segments);
+    const tripIndex = getSpatialIndex(trip.coords);
+
+    let totalMeters = 0;
+    let onTrailMeters = 0;
+    let offsetSum = 0;
+    let offsetCount = 0;
+    let maxDeviationMeters = 0;
+    let beyondSearch = false;
+    const covered = [];
+    const offTrailRuns = [];
+
+    tracks.forEach(track => {
+        const cumulativeMeters = computeCumulativeMeters(track.coords);
+        const isOnTrail = (match) => match !== null && match.distanceMeters <= IMPORT_ON_TRAIL_METERS;
+        const matches = [];
+        track.coords.forEach((coord, i) => {
+            const previous = matches[i - 1];
+            let match = null;
+            if (previous && isOnTrail(previous)) {
+                const reachMeters = (cumulativeMeters[i] - cumulativeMeters[i - 1]) * 3 + IMPORT_ON_TRAIL_METERS;
+                match = projectNearChainage(coord, trip, previous.chainageMeters, reachMeters);
+            }
+            if (!isOnTrail(match)) {
+                match = tripIndex.nearestOnLine(coord, trip.cumulativeMeters, IMPORT_SEARCH_METERS);
+            }
+            matches.push(match);
+        });
+        const onTrail = matches.map(isOnTrail);
+        totalMeters += cumulativeMeters[cumulativeMeters.length - 1];
+
+        matches.forEach((match, i) => {
+            if (match === null) {
+                beyondSearch = true;
+                return;
+            }
+            maxDeviationMeters = Math.max(maxDeviationMeters, match.distanceMeters);
+            if (onTrail[i]) {
+                offsetSum += match.distanceMeters;
+                offsetCount++;
+            }
+        });
+
+        for (let i = 1; i < track.coords.length; i++) {
+            if (!onTrail[i - 1] || !onTrail[i]) continue;
+            const stepMeters = cumulativeMeters[i] - cumulativeMeters[i - 1];
+            onTrailMeters += stepMeters;
+            // Only count the trail in between when the two points land near each other on
+            // it, not on opposite arms of a switchback
+            const from = Math.min(matches[i - 1].chainageMeters, matches[i].chainageMeters);
+            const to = Math.max(matches[i - 1].chainageMeters, matches[i].chainageMeters);
+            if (to - from <= stepMeters * 3 + IMPORT_ON_TRAIL_METERS) covered.push([from, to]);
+        }
+
+        // Off-trail stretches, joined to the on-trail points either side of them
+        let run = null;
+        track.coords.forEach((coord, i) => {
+            if (!onTrail[i]) {
+                if (!run) {
+                    run = i > 0 ? [track.coords[i - 1]] : [];
+                    offTrailRuns.push(run);
+                }
+                run.push(coord);
+            } else if (run) {
+                run.push(coord);
+                run = null;
+            }
+        });
+    });
+
+    const coveredIntervals = mergeIntervals(covered);
+    const segmentCoverage = segments.map((segment, s) => {
+        const start = trip.segmentStarts[s];
+        const end = s + 1 < segments.length ? trip.segmentStarts[s + 1] : trip.totalMeters;
+        const coveredMeters = coveredIntervals.reduce((total, [from, to]) =>
+            total + Math.max(0, Math.min(to, end) - Math.max(from, start)), 0);
+        return { id: segment.id, name: segment.name, coveredMeters: coveredMeters, fraction: end > start ? coveredMeters / (end - start) : 0 };
+    }).filter(coverage => coverage.coveredMeters > IMPORT_ON_TRAIL_METERS);
+
+    return {
+        totalMeters: totalMeters,
+        onTrailMeters: onTrailMeters,
+        onTrailFraction: totalMeters > 0 ? onTrailMeters / totalMeters : 0,
+        meanOffsetMeters: offsetCount > 0 ? offsetSum / offsetCount : null,
+        maxDeviationMeters: maxDeviationMeters,
+        beyondSearch: beyondSearch,
+        offTrailRuns: offTrailRuns.filter(run => run.length >= 2),
+        segments: segmentCoverage
+    };
+}
+
+// The name of an imported waypoint at a spot, or the fallback when none is close
+function importLocationName(imported, coord, fallback) {
+    const hit = getSpatialIndex(imported.waypointCoords).withinRadius(coord, IMPORT_WAYPOINT_NAME_METERS)[0];
+    return hit ? imported.waypoints[hit.index].name : fallback;
+}
+
+function formatDeviation(meters) {
+    if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+    return `${Math.round(meters)} m`;
+}
@@ -0,0 +1,134 @@
+// Day-by-day itinerary: which stretch of trail was hiked each day, where camp was, and
+// zero (no miles) and nero (nearly zero) days in town. Each day is cut out of the
+// matched GPX geometry by trip mile, or by coordinates snapped onto the trail.
+
+const ITINERARY_DAY_TYPES = ['hike', 'nero', 'zero'];
+// A day only counts as hiking part of a segment if it covers more than this of it,
+// so mile markers rounded to a tenth don't spill into the neighbouring segment
+const ITINERARY_SEGMENT_OVERLAP_METERS = 200;
+
+async function loadItinerary(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Itinerary ${url} could not be loaded (HTTP ${response.status})`);
+    }
+    const raw = await response.json();
+    if (!Array.isArray(raw.days) || raw.days.length === 0) {
+        throw new Error(`Itinerary ${url} lists no days`);
+    }
+    return raw;
+}
+
+// Every segment's geometry end to end. Trip chainage skips the small gaps between
+// segments, so trip miles match the sum of the segment lengths. Timestamps come along
+// only when every segment has them.
+function buildTripGeometry(segments) {
+    const coords = [];
+    const cumulativeMeters = [];
+    const segmentStarts = [];
+    const times = segments.length > 0 && segments.every(segment => segment.times) ? [] : null;
+    let offset = 0;
+
+    segments.forEach(segment => {
+        segmentStarts.push(offset);
+        segment.coordinates.forEach((coord, i) => {
+            coords.push(coord);
+            cumulativeMeters.push(offset + segment.cumulativeMeters[i]);
+            if (times) times.push(segment.times[i]);
+        });
+        offset += segment.cumulativeMeters[segment.cumulativeMeters.length - 1] || 0;
+    });
+
+    return { coords, cumulativeMeters, times, segmentStarts, totalMeters: offset };
+}
+
+// Turn the raw itinerary into day objects shaped like segments (name, locations,
+// coordinates, elevation, detail levels) so the sidebar and player can show either
+function resolveItinerary(raw, segments) {
+    const trip = buildTripGeometry(segments);
+    const toChainage = (mile, coords) => {
+        if (Number.isFinite(mile)) return Math.max(0, Math.min(trip.totalMeters, mile * METERS_PER_MILE));
+        if (Array.isArray(coords)) return getSpatialIndex(trip.coords).nearestOnLine(coords, trip.cumulativeMeters).chainageMeters;
+        return null;
+    };
+
+    let previousEnd = 0;
+    let previousCamp = segments.length > 0 ? segments[0].start_location : '';
+
+    return raw.days.map((entry, i) => {
+        const number = i + 1;
+        const type = ITINERARY_DAY_TYPES.includes(entry.type) ? entry.type : 'hike';
+        const startMeters = toChainage(entry.startMile, entry.startCoords) ?? previousEnd;
+        const endMeters = type === 'zero'
+            ? startMeters
+            : toChainage(entry.endMile, entry.endCoords) ?? startMeters;
+        if (endMeters < startMeters) {
+            console.warn(`Itinerary day ${number} ends before it starts; using the stretch between the two`);
+        }
+
+        const coordinates = sliceAtChainage(trip.coords, trip.cumulativeMeters, startMeters, endMeters);
+        const cumulativeMeters = computeCumulativeMeters(coordinates);
+        const times = trip.times ? sliceAtChainage(trip.times, trip.cumulativeMeters, startMeters, endMeters) : null;
+        const campName = (entry.camp && entry.camp.name) || entry.town || `Day ${number} camp`;
+        const campCoords = (entry.camp && entry.camp.coords) || coordinates[coordinates.length - 1];
+
+        // Segments this day touched, by id (a zero day belongs to the segment it rests on)
+        const from = Math.min(startMeters, endMeters);
+        const to = Math.max(startMeters, endMeters);
+        const segmentIds = [];
+        trip.segmentStarts.forEach((segmentStart, s) => {
+            const segmentEnd = s + 1 < trip.segmentStarts.length ? trip.segmentStarts[s + 1] : trip.totalMeters;
+            const overlap = Math.min(to, segmentEnd) - Math.max(from, segmentStart);
+            const restsHere = from === to && from >= segmentStart && from < segmentEnd;
+            if (overlap > ITINERARY_SEGMENT_OVERLAP_METERS || restsHere) {
+                segmentIds.push(segments[s].id);
+            }
+        });
+
+        const day = {
+            id: number,
+            name: `Day ${number}`,
+            date: entry.date || null,
+            type: type,
+            town: entry.town || null,
+            notes: entry.notes || '',
+            start_location: previousCamp,
+            finish_location: campName,
+            distance: Math.round((Math.abs(endMeters - startMeters) / METERS_PER_MILE) * 10) / 10,
+            startMile: startMeters / METERS_PER_MILE,
+            endMile: endMeters / METERS_PER_MILE,
+            camp: { name: campName, coords: [campCoords[0], campCoords[1]] },
+            segmentIds: segmentIds,
+            coordinates: coordinates,
+            cumulativeMeters: cumulativeMeters,
+            times: times,
+            timing: computeTimeAnalytics(coordinates, cumulativeMeters, times),
+            startCoords: coordinates[0],
+            endCoords: coordinates[coordinates.length - 1],
+            elevation: endMeters !== startMeters ? buildElevationProfile(coordinates) : null,
+            detailLevels: buildDetailLevels(coordinates)
+        };
+
+        previousEnd = endMeters;
+        previousCamp = campName;
+        return day;
+    });
+}
+
+function formatDayType(type) {
+    return { hike: 'Hiking day', nero: 'Nero day', zero: 'Zero day' }[type] || 'Hiking day';
+}
+
+// "Jul 9" style label for an ISO date, without shifting it across time zones
+function formatItineraryDate(date) {
+    if (!date) return null;
+    const parsed = new Date(`${date}T12:00:00`);
+    if (Number.isNaN(parsed.getTime())) return date;
+    return parsed.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function formatSegmentRange(segmentIds) {
+    if (segmentIds.length === 0) return '';
+    if (segmentIds.length === 1) return `Segment ${segmentIds[0]}`;
+    return `Segments ${segmentIds[0]}–${segmentIds[segmentIds.length - 1]}`;
+}
@@ -0,0 +1,63 @@
+// Trail journal: Markdown entries per segment and per day, loaded from the files a
+// journal index lists. Entries can embed the trip's photos and link to the map:
+//   ![Caption](photo:IMG_0412.jpg)   a photo from the trip's photos file
+//   [Leadville](place:Leadville)      a named place: trailhead, camp or mapped encounter
+//   [the saddle](mile:132.4)          a trip mile
+
+// References are rewritten to fragment links before rendering, so the sanitizer keeps them
+const JOURNAL_REFERENCE_PREFIX = '#journal-';
+const JOURNAL_REFERENCE_PATTERN = /\]\(\s*(<?)(photo|place|mile):/g;
+
+// { segments: { id: markdown }, days: { id: markdown } }. Index entries name a
+// `segment` or `day` id and the Markdown `file`; files that fail are skipped.
+async function loadJournal(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Journal ${url} could not be loaded (HTTP ${response.status})`);
+    }
+    const raw = await response.json();
+    if (!Array.isArray(raw.entries)) {
+        throw new Error(`Journal ${url} has no "entries" list`);
+    }
+
+    const journal = { segments: {}, days: {} };
+    await Promise.all(raw.entries.map(async (entry) => {
+        const entries = Number.isInteger(entry.day) ? journal.days : journal.segments;
+        const id = Number.isInteger(entry.day) ? entry.day : entry.segment;
+        if (!Number.isInteger(id) || !entry.file) {
+            console.warn('Journal entry needs a segment or day id and a file:', entry);
+            return;
+        }
+        try {
+            const file = await fetch(entry.file);
+            if (!file.ok) throw new Error(`HTTP ${file.status}`);
+            entries[id] = await file.text();
+        } catch (error) {
+            console.warn(`Journal file ${entry.file} could not be loaded:`, error);
+        }
+    }));
+    return journal;
+}
+
+// Markdown to sanitized HTML. Without marked and DOMPurify the text is shown as
+// written rather than risking unsanitized markup.
+function renderJournalMarkdown(markdown) {
+    if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
+        return `<p>${escapeHtml(markdown.trim()).replace(/\n{2,}/g, '</p><p>').replace(/\n/g, '<br>')}</p>`;
+    }
+    const text = markdown.replace(JOURNAL_REFERENCE_PATTERN, `]($1${JOURNAL_REFERENCE_PREFIX}$2:`);
+    return DOMPurify.sanitize(marked.parse(text));
+}
+
+// { kind, value } for a rewritten photo/place/mile reference, or null for ordinary links
+function parseJournalReference(url) {
+    if (!url || !url.startsWith(JOURNAL_REFERENCE_PREFIX)) return null;
+    const reference = decodeURIComponent(url.slice(JOURNAL_REFERENCE_PREFIX.length));
+    const colon = reference.indexOf(':');
+    return { kind: reference.slice(0, colon), value: reference.slice(colon + 1).trim() };
+}
+
+// A photo by its src or just its file name
+function findJournalPhoto(photos, value) {
+    return photos.find(photo => photo.src === value || photo.src.split('/').pop() === value) || null;
+}
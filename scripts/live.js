@@ -0,0 +1,172 @@
+// Live-hike mode: position check-ins read from a feed (a JSON or GeoJSON file, or the
+// check-in endpoint in tools/live-server.js), snapped to the trail as they arrive.
+
+const LIVE_POLL_SECONDS = 60;
+// Check-ins further than this from the trail are shown where they were sent from,
+// without a trail mile...
+const LIVE_TRAIL_SNAP_METERS = 3000;
+// ...or this far from a reference segment that is only sketched between trailheads,
+// as the real trail can wander miles from the straight line
+const LIVE_SCHEMATIC_SNAP_METERS = 10000;
+// Pace is measured over this much of the latest check-ins, nights included...
+const LIVE_PACE_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+// ...once they span at least this long; until then the ETA assumes a typical day
+const LIVE_PACE_MIN_SPAN_MS = 6 * 60 * 60 * 1000;
+const LIVE_DEFAULT_MILES_PER_DAY = 15;
+// Waypoints closer than this ahead of the hiker count as reached
+const LIVE_WAYPOINT_REACHED_METERS = 200;
+
+// [{ time, coords: [lat, lon], note }] oldest first
+async function loadCheckins(url) {
+    // Skip the HTTP cache and the service worker's copy: the feed is always fetched fresh
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Check-in feed ${url} could not be loaded (HTTP ${response.status})`);
+    }
+    return parseCheckins(await response.json());
+}
+
+// The feed is { "checkins": [{ time, lat, lon, note? }] } or a GeoJSON FeatureCollection
+// of points with `time` (and optionally `note`) properties. Times are ISO 8601.
+function parseCheckins(raw) {
+    const entries = raw && raw.type === 'FeatureCollection'
+        ? (raw.features || [])
+            .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+            .map(feature => ({
+                ...(feature.properties || {}),
+                lat: feature.geometry.coordinates[1],
+                lon: feature.geometry.coordinates[0]
+            }))
+        : (raw && raw.checkins) || [];
+
+    const checkins = [];
+    entries.forEach((entry, i) => {
+        const lat = Number(entry.lat);
+        const lon = Number(entry.lon);
+        const time = Date.parse(entry.time);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || !Number.isFinite(time)) {
+            console.warn(`Check-in ${i + 1} needs a lat, lon and time; skipping it`);
+            return;
+        }
+        checkins.push({ time: time, coords: [lat, lon], note: entry.note ? String(entry.note) : '' });
+    });
+    return checkins.sort((a, b) => a.time - b.time);
+}
+
+// The line check-ins are snapped to, with named points along it for the ETA. With a
+// trail reference that is the whole trail along the route the progress follows (so a
+// new section past the trip's own segments still gets trail miles); otherwise the
+// trip's segments. Distances along each reference segment are stretched to its
+// published miles, so a sketched segment still counts its full length; `schematic`
+// marks, per piece of line, whether it is one of those sketches. Waypoints are given
+// as { name, coords } and placed on the line here.
+function buildLiveTrail(reference, progress, segments, waypoints) {
+    const coords = [];
+    const cumulativeMeters = [];
+    const schematic = [];
+    const stops = [];
+    if (reference) {
+        const routeId = progress.route ? progress.route.id : null;
+        let offset = 0;
+        reference.segments
+            .filter(segment => (!segment.alternate || segment.alternate === routeId) && segment.coords.length >= 2)
+            .forEach(segment => {
+                const measured = computeCumulativeMeters(segment.coords);
+                const lineMeters = measured[measured.length - 1];
+                const scale = segment.miles > 0 && lineMeters > 0 ? (segment.miles * METERS_PER_MILE) / lineMeters : 1;
+                segment.coords.forEach((coord, i) => {
+                    coords.push([coord[0], coord[1]]);
+                    cumulativeMeters.push(offset + measured[i] * scale);
+                    schematic.push(segment.schematic);
+                });
+                offset += lineMeters * scale;
+                stops.push({ name: segment.finish, coords: segment.coords[segment.coords.length - 1] });
+            });
+    } else {
+        const trip = buildTripGeometry(segments);
+        trip.coords.forEach((coord, i) => {
+            coords.push([coord[0], coord[1]]);
+            cumulativeMeters.push(trip.cumulativeMeters[i]);
+            schematic.push(false);
+        });
+    }
+
+    const trail = { coords: coords, cumulativeMeters: cumulativeMeters, schematic: schematic, waypoints: [] };
+    trail.waypoints = stops.concat(waypoints).map(waypoint => {
+        const hit = snapToLiveTrail(trail, waypoint.coords, WAYPOINT_TRAIL_SNAP_METERS);
+        return hit ? { name: waypoint.name, coords: waypoint.coords, trailMeters: hit.chainageMeters } : null;
+    }).filter(Boolean).sort((a, b) => a.trailMeters - b.trailMeters);
+    return trail;
+}
+
+// Nearest point on the live trail within maxMeters, or within the wider sketch radius
+// when that point lies on a sketched segment: { point, chainageMeters, schematic } or null
+function snapToLiveTrail(trail, coords, maxMeters) {
+    if (trail.coords.length < 2) return null;
+    const hit = getSpatialIndex(trail.coords).nearestOnLine(coords, trail.cumulativeMeters, Math.max(maxMeters, LIVE_SCHEMATIC_SNAP_METERS));
+    if (!hit) return null;
+    // A piece joining a sketched segment to a traced one counts as sketched
+    const schematic = trail.schematic[hit.index] || trail.schematic[hit.index + 1];
+    if (!schematic && hit.distanceMeters > maxMeters) return null;
+    return { point: hit.point, chainageMeters: hit.chainageMeters, schematic: schematic };
+}
+
+// Snap the check-ins and work out where the hiker is, how far they've come since the
+// first check-in, their pace and when they should reach the next waypoint:
+// { checkins: [{ ..., trailMeters, snapped }], latest, coveredMeters, milesPerDay,
+//   paceMeasured, next: { name, coords, distanceMeters, eta } | null }
+function summarizeCheckins(checkins, trail) {
+    const snapped = checkins.map(checkin => {
+        const hit = snapToLiveTrail(trail, checkin.coords, LIVE_TRAIL_SNAP_METERS);
+        return {
+            ...checkin,
+            trailMeters: hit ? hit.chainageMeters : null,
+            // A sketched line is no better a position than the check-in itself
+            snapped: hit && !hit.schematic ? [hit.point[0], hit.point[1]] : checkin.coords
+        };
+    });
+    const onTrail = snapped.filter(checkin => checkin.trailMeters !== null);
+    const latest = snapped[snapped.length - 1] || null;
+    const latestOnTrail = onTrail[onTrail.length - 1] || null;
+
+    const coveredMeters = onTrail.length > 1 ? Math.max(0, latestOnTrail.trailMeters - onTrail[0].trailMeters) : 0;
+
+    // Average over the recent check-ins, so a zero day last week doesn't drag it down
+    const recent = onTrail.filter(checkin => latestOnTrail && latestOnTrail.time - checkin.time <= LIVE_PACE_WINDOW_MS);
+    const spanMs = recent.length > 1 ? recent[recent.length - 1].time - recent[0].time : 0;
+    const spanMeters = recent.length > 1 ? recent[recent.length - 1].trailMeters - recent[0].trailMeters : 0;
+    const paceMeasured = spanMs >= LIVE_PACE_MIN_SPAN_MS && spanMeters > 0;
+    const milesPerDay = paceMeasured
+        ? (spanMeters / METERS_PER_MILE) / (spanMs / (24 * 60 * 60 * 1000))
+        : LIVE_DEFAULT_MILES_PER_DAY;
+
+    let next = null;
+    if (latestOnTrail) {
+        const ahead = trail.waypoints.find(waypoint => waypoint.trailMeters > latestOnTrail.trailMeters + LIVE_WAYPOINT_REACHED_METERS);
+        if (ahead) {
+            const distanceMeters = ahead.trailMeters - latestOnTrail.trailMeters;
+            const etaMs = (distanceMeters / METERS_PER_MILE) / milesPerDay * 24 * 60 * 60 * 1000;
+            next = { name: ahead.name, coords: ahead.coords, distanceMeters: distanceMeters, eta: latestOnTrail.time + etaMs };
+        }
+    }
+
+    return {
+        checkins: snapped,
+        latest: latest,
+        latestOnTrail: latestOnTrail,
+        coveredMeters: coveredMeters,
+        milesPerDay: milesPerDay,
+        paceMeasured: paceMeasured,
+        next: next
+    };
+}
+
+// "just now", "25 min ago", "3 h ago", "2 days ago"
+function formatTimeAgo(timeMs, nowMs = Date.now()) {
+    const minutes = Math.max(0, Math.round((nowMs - timeMs) / 60000));
+    if (minutes < 2) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} days ago`;
+}
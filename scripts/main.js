@@ -1,82 +1,948 @@
-// Global variables for segment data
+// Global variables for the trip catalog; loaded trips are cached by id
+let tripCatalog = null;
+let tripCache = {};
+let tripLoads = {}; // in-flight loads by trip id, shared by everyone asking for that trip
+let activeTripId = null;
+let isOverviewMode = false;
+const OVERVIEW_PICKER_VALUE = '__overview__';
+
+// Global variables for the active trip's segment data
+let tripManifest = null;
 let coloradoTrailSegments = [];
 let trailGpxParser = null;
 let gpxTrailPoints = [];
+let tripStats = null;
+let tripItinerary = null; // resolved days, or null when the trip has no itinerary
+let tripPhotos = []; // placed photos in trail order (see placePhotos)
+let tripEncounters = []; // wildlife, friends and towns (see resolveEncounters)
+let tripJournal = null; // Markdown entries by segment and day id, or null without a journal
+let tripWaypoints = []; // named GPX waypoints in trail order (see buildWaypoints)
+let tripTrailReference = null; // every segment of the whole trail (see loadTrailReference), or null
+let tripProgress = null; // progress along the whole trail (see computeTrailProgress), or null
 
 // Global variables
 let map;
-let currentSegmentIndex = 0;
+let currentSegmentIndex = -1; // segment at the playhead, -1 before playback starts
 let isAnimating = false;
 let segmentMarkers = [];
 let routeLines = [];
-let animationTimeout;
+let elevationHoverMarker = null;
+let tripMarkers = [];
+let animationPaused = false;
+let overlayLayers = {}; // toggleable map layers by id, each with a filter chip
+let hiddenOverlays = new Set();
+let waypointMarkers = []; // marker per entry of tripWaypoints, when it has one
+let baseLayers = {}; // { config, layer } by base map id, from the catalog
+let activeBaseLayerId = null;
+let failedBaseLayers = new Set(); // base maps given up on after their server stopped answering
+let layerControl = null;
+let trailOverlays = null; // { full, completed } route overlays in the layer control
+const FULL_TRAIL_COLOR = '#9e9e9e';
+const COMPLETED_ROUTE_COLOR = '#4CAF50';
+
+// Global variables for journey playback
+let playbackTimeline = null;
+let playbackTimeMs = 0;
+let playbackSpeed = 1;
+let playbackFrame = null;
+let lastFrameTimestamp = null;
+let hikerMarker = null;
+let followHiker = false;
+let playbackMode = 'segments'; // 'segments' or 'days'
+let playbackRealTime = false; // follow the GPS clock instead of distance, when the items have timestamps
+let lastPlaybackTripMeters = null; // where the previous frame left the hiker, to spot photos passed
+let photoPopup = null;
+let photoPopupTimer = null;
+const PHOTO_POPUP_MS = 2500;
+// Jumps further than this are a seek, not the hiker walking past
+const PHOTO_POPUP_MAX_STEP_METERS = 3 * METERS_PER_MILE;
+
+// Which list the sidebar shows: 'segments' or 'days'
+let sidebarView = 'segments'; // 'segments', 'days' or 'plan'
+let estimatorSettings = loadEstimatorSettings(); // pace, pack and planner inputs (see estimator.js)
+let hikingEstimates = new WeakMap(); // { key, estimate } per segment or day, until the settings change
+let plannedDays = []; // the planner's proposed schedule (see planSchedule)
+
+// Files the user dropped on the map, drawn as overlays until removed or made a trip
+let importedTracks = [];
+let importErrors = [];
+let nextImportId = 1;
+const IMPORT_COLOR = '#7b1fa2';
+const IMPORT_OFF_TRAIL_COLOR = '#e53935';
+
+// Saving map tiles along the route for use without a connection
+let offlineZooms = new Set(OFFLINE_DEFAULT_ZOOMS);
+let offlineDownload = null; // { total, saved, failed, cancelled } while tiles are being saved
+
+// Live-hike mode, while the active trip has a check-in feed
+let liveSession = null; // identifies the current polling loop, so a stale one stops
+let livePollTimer = null;
+let liveTrail = null; // the line check-ins snap to (see buildLiveTrail)
+let liveSummary = null; // snapped check-ins, pace and ETA (see summarizeCheckins)
+let liveLayer = null;
+const LIVE_COLOR = '#ff5722';
+
+// Global variables for URL routing
+let currentRoute = { trip: null, segment: null, day: null, anim: null, by: null, map: null };
+let isRestoringRoute = false;
 
 // Initialize the map when the page loads
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
+    registerServiceWorker();
+    
+    try {
+        tripCatalog = await loadTripCatalog();
+    } catch (error) {
+        console.error('Error loading trip catalog:', error);
+        showLoadError('Trips could not be loaded', error);
+        return;
+    }
+    
     initializeMap();
     setupEventListeners();
-    loadTrailData();
+    setupPlaybackControls();
+    setupTripPicker();
+    setupFileImport();
+    setupPhotoLightbox();
+    setupLayerFilters();
+    setupOfflinePanel();
+    setupLiveStatus();
+    
+    // Restore whatever view the URL describes, and follow back/forward navigation
+    window.addEventListener('popstate', () => applyRoute(parseRoute()));
+    map.on('moveend', () => {
+        // The camera follows the hiker every frame while playing; record the view once it stops
+        if (isRestoringRoute || isAnimating) return;
+        rememberMapView();
+    });
+    applyRoute(parseRoute());
 });
 
+function rememberMapView() {
+    const center = map.getCenter();
+    navigate({ map: { center: [center.lat, center.lng], zoom: map.getZoom() } }, { replace: true });
+}
+
+// Merge changes into the current route and reflect them in the URL
+function navigate(changes, options) {
+    currentRoute = { ...currentRoute, ...changes };
+    if (!isRestoringRoute) {
+        writeRoute(currentRoute, options);
+    }
+}
+
+// Bring the page to the state a route describes (on load and on back/forward)
+async function applyRoute(route) {
+    const previous = currentRoute;
+    isRestoringRoute = true;
+    
+    try {
+        if (route.trip === OVERVIEW_ROUTE_TRIP) {
+            if (!isOverviewMode) await showOverview();
+        } else {
+            const known = tripCatalog.trips.some(trip => trip.id === route.trip);
+            const tripId = known ? route.trip : tripCatalog.defaultTrip;
+            if (tripId !== activeTripId || isOverviewMode || !tripCache[tripId]) {
+                await showTrip(tripId);
+            }
+            
+            const animMode = route.by === 'days' && tripItinerary ? 'days' : 'segments';
+            const animItem = (animMode === 'days' ? tripItinerary : coloradoTrailSegments)[route.anim - 1];
+            const detailSegment = coloradoTrailSegments[route.segment - 1];
+            const detailDay = tripItinerary ? tripItinerary[route.day - 1] : null;
+            if (animItem) {
+                showAnimationAt(route.anim - 1, animMode);
+            } else if (detailSegment) {
+                showSegmentDetails(detailSegment, route.segment - 1);
+            } else if (detailDay) {
+                showDayDetails(detailDay, route.day - 1);
+            } else if (previous.segment || previous.day || previous.anim) {
+                resetAnimation();
+            }
+        }
+        
+        if (route.map) {
+            map.setView(route.map.center, route.map.zoom);
+        }
+    } finally {
+        isRestoringRoute = false;
+    }
+    
+    // Normalize the URL (unknown trips, out-of-range segments) without adding history
+    const center = map.getCenter();
+    currentRoute = {
+        ...currentRoute,
+        map: { center: [center.lat, center.lng], zoom: map.getZoom() }
+    };
+    writeRoute(currentRoute, { replace: true });
+}
+
+
 function initializeMap() {
-    // Initialize map centered on Colorado Trail segments 1-15 (more zoomed in)
-    map = L.map('map').setView([38.9, -105.9], 9);
+    // Start on the catalog's view; each trip re-centers on its own manifest view
+    map = L.map('map').setView(tripCatalog.map.center, tripCatalog.map.zoom);
+    
+    // Base maps from the catalog, starting on the first (topo for mountain terrain)
+    const controlBaseLayers = {};
+    tripCatalog.baseLayers.forEach(config => {
+        const layer = createBaseLayer(config);
+        watchTileFailures(layer, () => fallBackFromBaseLayer(config.id));
+        baseLayers[config.id] = { config: config, layer: layer };
+        controlBaseLayers[escapeHtml(config.label)] = layer;
+    });
+    activeBaseLayerId = tripCatalog.baseLayers[0].id;
+    baseLayers[activeBaseLayerId].layer.addTo(map);
+    
+    // Trip overlays join the control as each trip is shown (see drawTrailOverlays)
+    trailOverlays = { full: L.featureGroup(), completed: L.featureGroup() };
+    layerControl = L.control.layers(controlBaseLayers, {}, { position: 'topright' }).addTo(map);
+    map.on('baselayerchange', (e) => {
+        activeBaseLayerId = Object.keys(baseLayers).find(id => baseLayers[id].layer === e.layer);
+        failedBaseLayers.delete(activeBaseLayerId);
+        renderOfflinePanel();
+    });
+    map.on('overlayadd overlayremove', (e) => {
+        const id = Object.keys(trailOverlays).find(key => trailOverlays[key] === e.layer);
+        if (!id) return;
+        if (e.type === 'overlayadd') {
+            hiddenOverlays.delete(`trail-${id}`);
+            sendTrailOverlaysBack();
+        } else {
+            hiddenOverlays.add(`trail-${id}`);
+        }
+    });
     
-    // Add terrain tile layer for better mountain visualization
-    L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
-        maxZoom: 17,
-        attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (<a href="https://creativecommons.org/licenses/by-sa/3.0/">CC-BY-SA</a>)'
-    }).addTo(map);
+    // Route lines carry several levels of detail; swap them as the zoom changes
+    map.on('zoomend', () => updatePolylineDetail(map.getZoom()));
+}
+
+// When the shown base map's server stops answering, move on to the next one in the
+// catalog that hasn't failed. Offline, unsaved tiles fail anyway, so stay put.
+function fallBackFromBaseLayer(id) {
+    if (id !== activeBaseLayerId || !navigator.onLine) return;
+    failedBaseLayers.add(id);
+    
+    const ids = tripCatalog.baseLayers.map(config => config.id);
+    const start = ids.indexOf(id);
+    const next = ids.slice(start + 1).concat(ids.slice(0, start)).find(candidate => !failedBaseLayers.has(candidate));
+    const label = baseLayers[id].config.label;
+    if (!next) {
+        console.warn(`🗺️ TILES: ${label} is not loading and no other base map is left to try`);
+        return;
+    }
+    console.warn(`🗺️ TILES: ${label} is not loading, switching to ${baseLayers[next].config.label}`);
+    map.removeLayer(baseLayers[id].layer);
+    map.addLayer(baseLayers[next].layer);
+}
+
+// The whole trail greyed out, with the stretch this trip covered on top. With a trail
+// reference only the segments still to go are greyed, and segments marked done in the
+// tracker join the trip's own lines. Both sit under the route and playback lines and
+// can be switched off in the layer control.
+function drawTrailOverlays() {
+    const entry = tripCatalog.trips.find(trip => trip.id === activeTripId);
+    const completedColor = (entry && entry.color) || COMPLETED_ROUTE_COLOR;
+    
+    if (tripTrailReference) {
+        tripTrailReference.segments.forEach(segment => {
+            if (segment.coords.length < 2) return;
+            const done = tripProgress.completed.has(segment.id);
+            // Segments in the manifest's list are drawn from the trip's own GPS lines
+            if (done && tripManifest.progress.completed.includes(segment.id)) return;
+            createDetailPolyline(buildDetailLevels(segment.coords), map.getZoom(), {
+                color: done ? completedColor : FULL_TRAIL_COLOR,
+                weight: done ? 4 : 3,
+                opacity: done ? 0.5 : 0.7,
+                dashArray: segment.schematic ? '6 8' : null,
+                interactive: false
+            }).addTo(done ? trailOverlays.completed : trailOverlays.full);
+        });
+    } else {
+        const tracks = trailGpxParser ? trailGpxParser.tracks || [] : [];
+        tracks.forEach(track => {
+            const coords = (track.points || []).map(point => [point.lat, point.lon]);
+            if (coords.length < 2) return;
+            createDetailPolyline(buildDetailLevels(coords), map.getZoom(), {
+                color: FULL_TRAIL_COLOR,
+                weight: 3,
+                opacity: 0.7,
+                interactive: false
+            }).addTo(trailOverlays.full);
+        });
+    }
+    
+    coloradoTrailSegments.forEach(segment => {
+        createDetailPolyline(segment.detailLevels, map.getZoom(), {
+            color: completedColor,
+            weight: 4,
+            opacity: 0.5,
+            interactive: false
+        }).addTo(trailOverlays.completed);
+    });
+    
+    const labels = {
+        full: tripTrailReference ? 'Still to go' : `Full ${escapeHtml(tripManifest.trail.name)}`,
+        completed: `${escapeHtml(tripManifest.hiker.name)}'s route`
+    };
+    Object.keys(trailOverlays).forEach(id => {
+        const group = trailOverlays[id];
+        if (group.getLayers().length === 0) return;
+        layerControl.addOverlay(group, labels[id]);
+        if (!hiddenOverlays.has(`trail-${id}`)) group.addTo(map);
+    });
+    sendTrailOverlaysBack();
+}
+
+function sendTrailOverlaysBack() {
+    // Completed goes back first so the full trail ends up underneath it
+    [trailOverlays.completed, trailOverlays.full].forEach(group => {
+        if (map.hasLayer(group)) group.bringToBack();
+    });
+}
+
+function clearTrailOverlays() {
+    Object.values(trailOverlays).forEach(group => {
+        // Out of the control first, so removing it doesn't count as switching it off
+        layerControl.removeLayer(group);
+        map.removeLayer(group);
+        group.clearLayers();
+    });
+}
+
+function showLoadError(title, error) {
+    document.getElementById('segment-info').innerHTML = `
+        <div class="welcome-message">
+            <h3>${escapeHtml(title)}</h3>
+            <p>${escapeHtml(error.message)}</p>
+        </div>
+    `;
+}
+
+// Load a trip's manifest, route and GPX once and cache the processed segments. A trip
+// asked for again while it loads (a quick switch back in the picker) shares that load.
+function ensureTripLoaded(tripId) {
+    if (tripCache[tripId]) return Promise.resolve(tripCache[tripId]);
+    if (!tripLoads[tripId]) {
+        tripLoads[tripId] = loadTrip(tripId).finally(() => {
+            delete tripLoads[tripId];
+        });
+    }
+    return tripLoads[tripId];
+}
+
+// Every step works on this trip's own data and hands back its results, so loads of
+// different trips can overlap without touching the active trip
+async function loadTrip(tripId) {
+    const entry = tripCatalog.trips.find(trip => trip.id === tripId);
+    if (!entry) throw new Error(`Unknown trip "${tripId}"`);
+    
+    const manifest = await loadTripManifest(entry.manifest);
+    
+    // Load the route.json file with segment coordinates
+    const response = await fetch(manifest.data.route);
+    if (!response.ok) {
+        throw new Error(`Route file ${manifest.data.route} could not be loaded (HTTP ${response.status})`);
+    }
+    const routeData = await response.json();
+    
+    // Load and parse GPX data
+    const gpx = await loadGpxData(manifest);
+    
+    // Process the data to create segments with coordinates
+    const segments = processSegmentData(routeData, gpx.parser);
+    const waypoints = buildWaypoints(gpxWaypointEntries(gpx.parser), segments);
+    
+    // Cut the itinerary's days out of the processed segments
+    const itinerary = await loadItineraryData(manifest, segments);
+    
+    // Pin the trip's photos onto the trail
+    const photos = await loadPhotoData(manifest, segments, itinerary);
+    
+    // Wildlife, friends and towns, placed by segment, day or location
+    const encounters = await loadEncounterData(manifest, segments, itinerary);
+    
+    const journal = await loadJournalData(manifest);
+    
+    // The whole trail, to show what is still to go
+    const trailReference = await loadTrailReferenceData(manifest);
+    const progress = trailReference
+        ? computeTrailProgress(trailReference, completedSegmentIds(tripId, manifest))
+        : null;
+    
+    tripCache[tripId] = {
+        entry: entry,
+        manifest: manifest,
+        segments: segments,
+        gpxParser: gpx.parser,
+        gpxTrailPoints: gpx.points,
+        itinerary: itinerary,
+        photos: photos,
+        encounters: encounters,
+        journal: journal,
+        waypoints: waypoints,
+        trailReference: trailReference,
+        progress: progress,
+        // Derive the headline numbers from the processed segments
+        stats: computeTripStats(segments, manifest, itinerary, progress)
+    };
+    return tripCache[tripId];
 }
 
-async function loadTrailData() {
+async function showTrip(tripId) {
+    clearTripLayers();
+    isOverviewMode = false;
+    activeTripId = tripId;
+    navigate({ trip: tripId, segment: null, day: null, anim: null, by: null });
+    document.getElementById('trip-picker').value = tripId;
+    showSidebarLoading();
+    
     try {
-        // Load the route.json file with segment coordinates
-        const response = await fetch('./assets/route.json');
-        const routeData = await response.json();
-        
-        // Load and parse GPX data
-        await loadGpxData();
-        
-        // Process the data to create segments with coordinates
-        processSegmentData(routeData);
-        
-        // Add start and finish markers
-        addStartFinishMarkers();
-        
-        // Load segment list in sidebar
-        loadSegmentList();
-        
+        const trip = await ensureTripLoaded(tripId);
+        // A newer selection may have been made while this trip was loading
+        if (activeTripId !== tripId || isOverviewMode) return;
+        activateTrip(trip);
     } catch (error) {
         console.error('Error loading trail data:', error);
-        // Fallback to basic functionality if data loading fails
-        loadSegmentList();
+        showLoadError('Trip could not be loaded', error);
+    }
+}
+
+function activateTrip(trip) {
+    tripManifest = trip.manifest;
+    coloradoTrailSegments = trip.segments;
+    trailGpxParser = trip.gpxParser;
+    gpxTrailPoints = trip.gpxTrailPoints;
+    tripStats = trip.stats;
+    tripItinerary = trip.itinerary;
+    tripPhotos = trip.photos;
+    tripEncounters = trip.encounters;
+    tripJournal = trip.journal;
+    tripWaypoints = trip.waypoints;
+    tripTrailReference = trip.trailReference;
+    tripProgress = trip.progress;
+    if (!tripItinerary) {
+        if (sidebarView === 'days') sidebarView = 'segments';
+        playbackMode = 'segments';
+    }
+    
+    renderManifestText(tripManifest);
+    renderTripStats(tripStats);
+    resetAnimateButton();
+    map.setView(tripManifest.map.center, tripManifest.map.zoom);
+    
+    drawTrailOverlays();
+    
+    // Add start and finish markers
+    addStartFinishMarkers();
+    addCampMarkers();
+    addPhotoMarkers();
+    addWaypointMarkers();
+    addEncounterMarkers();
+    
+    // Load segment list in sidebar
+    loadSegmentList();
+    resetPlaybackControls();
+    startLiveMode();
+}
+
+// Draw every trip in the catalog on the map at once, each in its own color
+async function showOverview() {
+    clearTripLayers();
+    isOverviewMode = true;
+    navigate({ trip: OVERVIEW_ROUTE_TRIP, segment: null, day: null, anim: null, by: null });
+    document.getElementById('trip-picker').value = OVERVIEW_PICKER_VALUE;
+    showSidebarLoading();
+    
+    const trips = [];
+    for (const entry of tripCatalog.trips) {
+        try {
+            trips.push(await ensureTripLoaded(entry.id));
+        } catch (error) {
+            console.error(`Error loading trip ${entry.id}:`, error);
+        }
+    }
+    if (!isOverviewMode) return;
+    
+    const bounds = L.latLngBounds([]);
+    trips.forEach((trip, tripIndex) => {
+        const color = trip.entry.color || getSegmentColor(tripIndex);
+        trip.segments.forEach(segment => {
+            const line = createDetailPolyline(segment.detailLevels, map.getZoom(), {
+                color: color,
+                weight: 4,
+                opacity: 0.8
+            }).addTo(map);
+            line.bindTooltip(`${escapeHtml(trip.entry.label)}<br>${escapeHtml(segment.name)}`, { sticky: true });
+            line.on('click', () => showTrip(trip.entry.id));
+            routeLines.push(line);
+            bounds.extend(line.getBounds());
+        });
+    });
+    if (bounds.isValid()) {
+        map.fitBounds(bounds, { padding: [50, 50] });
+    }
+    
+    loadTripOverviewList(trips);
+}
+
+function loadTripOverviewList(trips) {
+    const segmentInfo = document.getElementById('segment-info');
+    segmentInfo.innerHTML = `
+        <div class="welcome-message">
+            <h3>All Trips</h3>
+            <p>Every trip on one map. Click a trip to explore its segments.</p>
+        </div>
+    `;
+    
+    trips.forEach((trip, tripIndex) => {
+        const formatted = formatTripStats(trip.stats);
+        const tripCard = document.createElement('div');
+        tripCard.className = 'segment-card trip-card';
+        tripCard.style.borderLeftColor = trip.entry.color || getSegmentColor(tripIndex);
+        tripCard.innerHTML = `
+            <h4><i class="fas fa-hiking"></i> ${escapeHtml(trip.entry.label)}</h4>
+            <p><strong>${escapeHtml(trip.manifest.hiker.name)}</strong> on the <strong>${escapeHtml(trip.manifest.trail.name)}</strong></p>
+            <span class="segment-distance">${formatted.totalMiles} miles · ${formatted.segmentCount} segments</span>
+        `;
+        tripCard.addEventListener('click', () => showTrip(trip.entry.id));
+        segmentInfo.appendChild(tripCard);
+    });
+}
+
+function setupTripPicker() {
+    const picker = document.getElementById('trip-picker');
+    renderTripPicker();
+    
+    picker.addEventListener('change', () => {
+        if (picker.value === OVERVIEW_PICKER_VALUE) {
+            showOverview();
+        } else {
+            showTrip(picker.value);
+        }
+    });
+}
+
+// List every trip in the catalog (imported ones included) and keep the selection
+function renderTripPicker() {
+    const picker = document.getElementById('trip-picker');
+    const selected = picker.value;
+    picker.innerHTML = tripCatalog.trips
+        .map(trip => `<option value="${escapeHtml(trip.id)}">${escapeHtml(trip.label)}</option>`)
+        .join('') + `<option value="${OVERVIEW_PICKER_VALUE}">All trips (overview)</option>`;
+    if (selected) picker.value = selected;
+    
+    // A single trip needs no picker
+    picker.hidden = tripCatalog.trips.length < 2;
+}
+
+// Drop GPX, GeoJSON or KML files on the map, or pick them with the import button
+function setupFileImport() {
+    const container = document.querySelector('.map-container');
+    const overlay = document.getElementById('map-drop-overlay');
+    const hasFiles = (event) => Array.from(event.dataTransfer ? event.dataTransfer.types : []).includes('Files');
+    
+    container.addEventListener('dragover', (event) => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        overlay.hidden = false;
+    });
+    container.addEventListener('dragleave', (event) => {
+        // Moving between child elements fires dragleave too; only hide when leaving the map
+        if (!container.contains(event.relatedTarget)) overlay.hidden = true;
+    });
+    container.addEventListener('drop', (event) => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        overlay.hidden = true;
+        Array.from(event.dataTransfer.files).forEach(importFile);
+    });
+    
+    const fileInput = document.getElementById('import-file');
+    fileInput.addEventListener('change', () => {
+        Array.from(fileInput.files).forEach(importFile);
+        fileInput.value = '';
+    });
+}
+
+async function importFile(file) {
+    let data;
+    try {
+        data = await readImportFile(file);
+    } catch (error) {
+        console.error(`Error importing ${file.name}:`, error);
+        importErrors.push({ fileName: file.name, message: error.message });
+        renderImportPanel();
+        return;
+    }
+    
+    // Compare with the trip on screen; the overview has no single trail to compare with
+    const compareWith = !isOverviewMode && coloradoTrailSegments.length > 0 ? tripCatalog.trips.find(trip => trip.id === activeTripId) : null;
+    const imported = {
+        id: nextImportId++,
+        data: data,
+        comparedWith: compareWith ? compareWith.label : null,
+        comparison: compareWith ? compareWithSegments(data.tracks, coloradoTrailSegments) : null,
+        layer: null
+    };
+    
+    imported.layer = buildImportLayer(imported).addTo(map);
+    importedTracks.push(imported);
+    console.log(`📥 IMPORTED: ${data.fileName} (${data.format}) - ${data.tracks.length} tracks, ${data.waypoints.length} waypoints`);
+    
+    map.fitBounds(imported.layer.getBounds(), { padding: [50, 50] });
+    renderImportPanel();
+}
+
+// The imported lines, with any stretches off the trail drawn over them in red
+function buildImportLayer(imported) {
+    const layer = L.featureGroup();
+    imported.data.tracks.forEach(track => {
+        L.polyline(track.coords.map(coord => [coord[0], coord[1]]), {
+            color: IMPORT_COLOR,
+            weight: 4,
+            opacity: 0.8,
+            dashArray: '8 6'
+        }).bindTooltip(`${escapeHtml(imported.data.name)}<br>${escapeHtml(track.name)}`, { sticky: true }).addTo(layer);
+    });
+    
+    if (imported.comparison) {
+        imported.comparison.offTrailRuns.forEach(run => {
+            L.polyline(run.map(coord => [coord[0], coord[1]]), {
+                color: IMPORT_OFF_TRAIL_COLOR,
+                weight: 5,
+                opacity: 0.9
+            }).bindTooltip('Off the trail', { sticky: true }).addTo(layer);
+        });
+    }
+    
+    imported.data.waypoints.forEach(waypoint => {
+        L.circleMarker([waypoint.coords[0], waypoint.coords[1]], {
+            radius: 5,
+            color: 'white',
+            weight: 2,
+            fillColor: IMPORT_COLOR,
+            fillOpacity: 1
+        }).bindPopup(`<b>${escapeHtml(waypoint.name)}</b>`).addTo(layer);
+    });
+    return layer;
+}
+
+// Imported files and import errors, above the segment list
+function renderImportPanel() {
+    const panel = document.getElementById('import-panel');
+    panel.hidden = importedTracks.length === 0 && importErrors.length === 0;
+    
+    panel.innerHTML = importErrors.map((error, i) => `
+        <div class="import-error" role="alert">
+            <i class="fas fa-exclamation-triangle"></i>
+            <div>
+                <strong>${escapeHtml(error.fileName)} could not be imported</strong>
+                <p>${escapeHtml(error.message)}</p>
+            </div>
+            <button class="import-dismiss" data-error="${i}" title="Dismiss" aria-label="Dismiss">&times;</button>
+        </div>
+    `).join('') + importedTracks.map(imported => {
+        const data = imported.data;
+        const miles = data.tracks.reduce((total, track) => total + polylineLengthMeters(track.coords), 0) / METERS_PER_MILE;
+        const comparison = imported.comparison;
+        return `
+            <div class="import-card" data-import="${imported.id}">
+                <h4><i class="fas fa-file-import"></i> ${escapeHtml(data.name)}</h4>
+                <p class="import-meta">${escapeHtml(data.fileName)} · ${data.format} · ${miles.toFixed(1)} miles · ${data.tracks.length} ${data.tracks.length === 1 ? 'track' : 'tracks'}</p>
+                ${comparison ? `
+                    <p><strong>${(comparison.onTrailFraction * 100).toFixed(0)}%</strong> on ${escapeHtml(imported.comparedWith)}
+                        ${comparison.meanOffsetMeters !== null ? ` · typically ${formatDeviation(comparison.meanOffsetMeters)} from it` : ''}</p>
+                    <p>Strays up to ${comparison.beyondSearch ? `more than ${formatDeviation(IMPORT_SEARCH_METERS)}` : formatDeviation(comparison.maxDeviationMeters)} off the trail</p>
+                    ${comparison.segments.length > 0 ? `
+                        <div class="import-coverage">
+                            ${comparison.segments.map(coverage => `<span class="import-chip" title="${escapeHtml(coverage.name)}">Seg ${coverage.id} · ${(coverage.fraction * 100).toFixed(0)}%</span>`).join('')}
+                        </div>
+                    ` : ''}
+                ` : ''}
+                <div class="import-actions">
+                    <button class="btn-secondary" data-action="zoom"><i class="fas fa-search-location"></i> Show</button>
+                    <button class="btn-secondary" data-action="promote"><i class="fas fa-hiking"></i> Make trip</button>
+                    <button class="btn-secondary" data-action="remove"><i class="fas fa-trash"></i> Remove</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    panel.querySelectorAll('.import-dismiss').forEach(button => {
+        button.addEventListener('click', () => {
+            importErrors.splice(Number(button.dataset.error), 1);
+            renderImportPanel();
+        });
+    });
+    panel.querySelectorAll('.import-card').forEach(card => {
+        const imported = importedTracks.find(candidate => candidate.id === Number(card.dataset.import));
+        card.querySelector('[data-action="zoom"]').addEventListener('click', () => {
+            map.fitBounds(imported.layer.getBounds(), { padding: [50, 50] });
+        });
+        card.querySelector('[data-action="promote"]').addEventListener('click', () => promoteImport(imported));
+        card.querySelector('[data-action="remove"]').addEventListener('click', () => removeImport(imported));
+    });
+}
+
+function removeImport(imported) {
+    map.removeLayer(imported.layer);
+    importedTracks = importedTracks.filter(candidate => candidate !== imported);
+    renderImportPanel();
+}
+
+// Turn an import into a trip of its own: each track becomes a segment, named after
+// the imported waypoints at its ends where there are any
+function promoteImport(imported) {
+    const data = imported.data;
+    const tripId = `import-${imported.id}`;
+    const bounds = imported.layer.getBounds();
+    const manifest = normalizeTripManifest({
+        hiker: { name: 'You' },
+        trail: { name: data.name },
+        data: { route: data.fileName },
+        map: { center: [bounds.getCenter().lat, bounds.getCenter().lng], zoom: Math.min(map.getBoundsZoom(bounds), 13) }
+    }, data.fileName);
+    
+    let previousFinish = null;
+    const segments = data.tracks.map((track, i) => {
+        const start = track.coords[0];
+        const end = track.coords[track.coords.length - 1];
+        const startName = previousFinish || importLocationName(data, start, i === 0 ? 'Start' : `${track.name} start`);
+        const finishName = importLocationName(data, end, i === data.tracks.length - 1 ? 'Finish' : `${track.name} end`);
+        previousFinish = finishName;
+        const routeEntry = {
+            name: track.name,
+            start_location: startName,
+            finish_location: finishName,
+            distance: Math.round((polylineLengthMeters(track.coords) / METERS_PER_MILE) * 10) / 10,
+            notes: ''
+        };
+        return buildSegmentObject(routeEntry, i, track.coords, start, end, track.times);
+    });
+    
+    const entry = { id: tripId, label: `${data.name} (imported)`, manifest: null, color: IMPORT_COLOR };
+    tripCatalog.trips.push(entry);
+    tripCache[tripId] = {
+        entry: entry,
+        manifest: manifest,
+        segments: segments,
+        gpxParser: null,
+        gpxTrailPoints: [],
+        itinerary: null,
+        photos: [],
+        encounters: [],
+        journal: null,
+        waypoints: buildWaypoints(data.waypoints, segments),
+        trailReference: null,
+        progress: null,
+        stats: computeTripStats(segments, manifest, null, null)
+    };
+    
+    removeImport(imported);
+    renderTripPicker();
+    showTrip(tripId);
+}
+
+// The service worker caches the app for offline use; it needs https (or localhost)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('./sw.js')
+        .then(() => console.log('📴 OFFLINE: service worker registered'))
+        .catch(error => console.warn('Service worker could not be registered:', error));
+}
+
+function setupOfflinePanel() {
+    document.getElementById('offline-button').addEventListener('click', () => {
+        const panel = document.getElementById('offline-panel');
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden) renderOfflinePanel();
+    });
+    window.addEventListener('online', renderOfflinePanel);
+    window.addEventListener('offline', renderOfflinePanel);
+}
+
+// The base map to save: the one shown if its server allows it, else the first that does
+function offlineBaseLayer() {
+    const active = baseLayers[activeBaseLayerId].config;
+    return active.download ? active : tripCatalog.baseLayers.find(config => config.download) || null;
+}
+
+// Tiles covering the active trip at the chosen zoom levels the base map has
+function offlineRouteTiles(config) {
+    const coords = coloradoTrailSegments.flatMap(segment => segment.coordinates);
+    const zooms = [...offlineZooms].filter(zoom => zoom >= config.minZoom && zoom <= config.maxZoom);
+    return corridorTiles(coords, zooms.sort((a, b) => a - b));
+}
+
+async function renderOfflinePanel() {
+    const panel = document.getElementById('offline-panel');
+    if (panel.hidden) return;
+    
+    const canSave = 'caches' in window;
+    const appCached = Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+    const baseLayer = offlineBaseLayer();
+    const tiles = isOverviewMode || !baseLayer ? [] : offlineRouteTiles(baseLayer);
+    const savedCount = canSave ? (await (await caches.open(OFFLINE_TILE_CACHE)).keys()).length : 0;
+    const download = offlineDownload;
+    
+    panel.innerHTML = `
+        <div class="offline-card">
+            <h4><i class="fas fa-${navigator.onLine ? 'wifi' : 'plane'}"></i> Offline trail map</h4>
+            <p class="import-meta">${navigator.onLine ? 'Online' : 'Offline'} · ${appCached ? 'the app is saved on this device' : 'the app is not saved for offline use yet'}</p>
+            ${!canSave ? '<p>This browser can only save maps on an https page.</p>'
+                : isOverviewMode ? '<p>Pick a trip to save the map along it.</p>'
+                : !baseLayer ? '<p>None of the base maps allow saving tiles.</p>' : `
+                <p>Save ${escapeHtml(baseLayer.label)} map tiles along ${escapeHtml(tripManifest.trail.name)} to use it without signal.</p>
+                <p class="import-meta">Zoom levels</p>
+                <div class="offline-zooms">
+                    ${OFFLINE_TILE_ZOOMS.map(zoom => `
+                        <label><input type="checkbox" value="${zoom}" ${offlineZooms.has(zoom) ? 'checked' : ''} ${download ? 'disabled' : ''}> ${zoom}</label>
+                    `).join('')}
+                </div>
+                <p class="offline-estimate">${tiles.length.toLocaleString()} tiles, about ${Math.ceil((tiles.length * OFFLINE_TILE_BYTES) / (1024 * 1024))} MB
+                    ${tiles.length > OFFLINE_MAX_TILES ? `<br><strong>Too many tiles: pick fewer zoom levels (at most ${OFFLINE_MAX_TILES.toLocaleString()}).</strong>` : ''}</p>
+                ${download ? `
+                    <div class="offline-progress"><span style="width: ${((download.saved + download.failed) / download.total * 100).toFixed(1)}%"></span></div>
+                    <p>${download.saved.toLocaleString()} of ${download.total.toLocaleString()} tiles saved${download.failed > 0 ? ` (${download.failed} failed)` : ''}</p>
+                ` : ''}
+                <div class="import-actions">
+                    ${download
+                        ? '<button class="btn-secondary" data-action="cancel"><i class="fas fa-stop"></i> Stop</button>'
+                        : `<button class="btn-secondary" data-action="save" ${tiles.length === 0 || tiles.length > OFFLINE_MAX_TILES || !navigator.onLine ? 'disabled' : ''}><i class="fas fa-download"></i> Save tiles</button>`}
+                    <button class="btn-secondary" data-action="clear" ${savedCount === 0 || download ? 'disabled' : ''}><i class="fas fa-trash"></i> Clear</button>
+                </div>
+                <p class="import-meta">${savedCount.toLocaleString()} tiles saved on this device</p>
+            `}
+        </div>
+    `;
+    
+    panel.querySelectorAll('.offline-zooms input').forEach(input => {
+        input.addEventListener('change', () => {
+            if (input.checked) offlineZooms.add(Number(input.value));
+            else offlineZooms.delete(Number(input.value));
+            renderOfflinePanel();
+        });
+    });
+    const action = (name, handler) => {
+        const button = panel.querySelector(`[data-action="${name}"]`);
+        if (button) button.addEventListener('click', handler);
+    };
+    action('save', saveOfflineTiles);
+    action('cancel', () => { offlineDownload.cancelled = true; });
+    action('clear', async () => {
+        await caches.delete(OFFLINE_TILE_CACHE);
+        renderOfflinePanel();
+    });
+}
+
+// Fetch and keep every corridor tile not saved yet, a few at a time
+async function saveOfflineTiles() {
+    const baseLayer = offlineBaseLayer();
+    const tiles = offlineRouteTiles(baseLayer);
+    if (tiles.length === 0 || tiles.length > OFFLINE_MAX_TILES) return;
+    
+    const cache = await caches.open(OFFLINE_TILE_CACHE);
+    const download = { total: tiles.length, saved: 0, failed: 0, cancelled: false };
+    offlineDownload = download;
+    renderOfflinePanel();
+    console.log(`📴 OFFLINE: saving ${tiles.length} ${baseLayer.label} tiles at zoom ${[...offlineZooms].join(', ')}`);
+    
+    let next = 0;
+    let lastRender = 0;
+    const worker = async () => {
+        while (next < tiles.length && !download.cancelled) {
+            const url = canonicalTileUrl(tileUrl(baseLayer.url, tiles[next++], baseLayer.subdomains));
+            try {
+                if (!(await cache.match(url))) {
+                    const response = await fetch(url, { mode: 'cors' });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await cache.put(url, response);
+                }
+                download.saved++;
+            } catch (error) {
+                download.failed++;
+            }
+            // Redrawing per tile would thrash the sidebar
+            if (Date.now() - lastRender > 250) {
+                lastRender = Date.now();
+                renderOfflinePanel();
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_TILE_CONCURRENCY }, worker));
+    
+    console.log(`📴 OFFLINE: ${download.saved} tiles saved, ${download.failed} failed${download.cancelled ? ' (stopped)' : ''}`);
+    offlineDownload = null;
+    renderOfflinePanel();
+}
+
+function showSidebarLoading() {
+    document.getElementById('segment-info').innerHTML = `
+        <div class="welcome-message">
+            <h3>Loading...</h3>
+            <p>Preparing the trail data and map visualization. This may take a moment.</p>
+        </div>
+    `;
+}
+
+// Remove everything the previous trip or overview put on the map
+function clearTripLayers() {
+    clearRouteLayers();
+    stopLiveMode();
+    
+    clearTrailOverlays();
+    tripMarkers.forEach(marker => map.removeLayer(marker));
+    tripMarkers = [];
+    overlayLayers = {};
+    waypointMarkers = [];
+    renderLayerFilters();
+    
+    const currentDisplay = document.getElementById('current-segment-display');
+    if (currentDisplay) {
+        currentDisplay.remove();
     }
+    
+    // Shown again once a trip is active
+    document.getElementById('playback-controls').hidden = true;
 }
 
-async function loadGpxData() {
+// The parsed GPX ({ parser, points }: the parser and the main track's [lat, lon] points),
+// with no parser when the manifest names no GPX file
+async function loadGpxData(manifest) {
+    if (!manifest.data.gpx) {
+        console.warn('Trip manifest declares no GPX file, using route.json coordinates only');
+        return { parser: null, points: [] };
+    }
+    
+    const response = await fetch(manifest.data.gpx);
+    if (!response.ok) {
+        throw new Error(`GPX file ${manifest.data.gpx} could not be loaded (HTTP ${response.status})`);
+    }
+    
+    let parser = null;
+    let points = [];
     try {
-        const response = await fetch('./assets/Colorado Trail.gpx');
         const gpxText = await response.text();
         
         // Use GPXParser.js to parse the GPX file
-        trailGpxParser = new gpxParser();
-        trailGpxParser.parse(gpxText);
+        parser = new gpxParser();
+        parser.parse(gpxText);
         
         console.log('=== COMPLETE GPX ANALYSIS ===');
         
         // Analyze waypoints (these are likely the trailheads and markers)
-        if (trailGpxParser.waypoints && trailGpxParser.waypoints.length > 0) {
-            console.log(`📍 WAYPOINTS: ${trailGpxParser.waypoints.length} found`);
-            trailGpxParser.waypoints.forEach((wp, i) => {
+        if (parser.waypoints && parser.waypoints.length > 0) {
+            console.log(`📍 WAYPOINTS: ${parser.waypoints.length} found`);
+            parser.waypoints.forEach((wp, i) => {
                 console.log(`  ${i+1}: "${wp.name}" at [${wp.lat?.toFixed(6)}, ${wp.lon?.toFixed(6)}]`);
             });
         }
         
         // Analyze tracks (these contain the actual GPS paths)
-        if (trailGpxParser.tracks && trailGpxParser.tracks.length > 0) {
-            console.log(`🛤️  TRACKS: ${trailGpxParser.tracks.length} found`);
-            trailGpxParser.tracks.forEach((track, i) => {
+        if (parser.tracks && parser.tracks.length > 0) {
+            console.log(`🛤️  TRACKS: ${parser.tracks.length} found`);
+            parser.tracks.forEach((track, i) => {
                 console.log(`  Track ${i+1}: "${track.name || 'Unnamed'}" - ${track.points?.length || 0} points`);
                 if (track.distance) {
                     console.log(`    Distance: ${(track.distance.total/1000).toFixed(1)}km`);
@@ -89,175 +955,174 @@ async function loadGpxData() {
                 }
             });
             
+            // Timestamps unlock moving time, pace and real-time replay
+            const trackPoints = parser.tracks.flatMap(track => track.points || []);
+            const timedPoints = trackPoints.filter(point => point.time).length;
+            if (timedPoints > 0) {
+                console.log(`⏱️  TIMESTAMPS: ${timedPoints} of ${trackPoints.length} track points`);
+            } else {
+                console.log('⏱️  TIMESTAMPS: none on track points, distance-only mode');
+            }
+            
             // Use the main track for processing
-            const mainTrack = trailGpxParser.tracks[0];
-            gpxTrailPoints = mainTrack.points.map(point => [point.lat, point.lon]);
-            console.log(`✅ Extracted ${gpxTrailPoints.length} GPS points from main track`);
+            const mainTrack = parser.tracks[0];
+            points = mainTrack.points.map(point => [point.lat, point.lon]);
+            console.log(`✅ Extracted ${points.length} GPS points from main track`);
         }
         
         // Analyze routes (alternative to tracks)
-        if (trailGpxParser.routes && trailGpxParser.routes.length > 0) {
-            console.log(`🗺️  ROUTES: ${trailGpxParser.routes.length} found`);
-            trailGpxParser.routes.forEach((route, i) => {
+        if (parser.routes && parser.routes.length > 0) {
+            console.log(`🗺️  ROUTES: ${parser.routes.length} found`);
+            parser.routes.forEach((route, i) => {
                 console.log(`  Route ${i+1}: "${route.name || 'Unnamed'}" - ${route.points?.length || 0} points`);
             });
         }
         
-        // If we have multiple tracks, try to identify segment-specific tracks
-        if (trailGpxParser.tracks && trailGpxParser.tracks.length > 1) {
-            console.log('🔍 MULTIPLE TRACKS DETECTED - Analyzing for segment matches...');
-            analyzeTracksForSegments();
-        }
-        
     } catch (error) {
         console.error('Error loading GPX data:', error);
-        gpxTrailPoints = [];
+        points = [];
     }
+    return { parser: parser, points: points };
+}
+
+// GPX parsing is now handled by GPXParser.js library
+
+// The parsed GPX's <wpt> elements in the shape buildWaypoints takes
+function gpxWaypointEntries(parser) {
+    if (!parser || !parser.waypoints) return [];
+    return parser.waypoints.map(waypoint => ({
+        name: decodeXmlEntities(waypoint.name || ''),
+        coords: [waypoint.lat, waypoint.lon, waypoint.ele],
+        symbol: waypoint.sym || '',
+        description: decodeXmlEntities(waypoint.desc || waypoint.cmt || '')
+    }));
 }
 
-function analyzeTracksForSegments() {
-    // If we have multiple tracks, they might correspond to individual segments
-    console.log('=== TRACK-TO-SEGMENT ANALYSIS ===');
+// Resolved days, or null without an itinerary
+async function loadItineraryData(manifest, segments) {
+    if (!manifest.data.itinerary) return null;
     
-    trailGpxParser.tracks.forEach((track, i) => {
-        if (track.name && track.points && track.points.length > 0) {
-            const trackName = track.name.toLowerCase();
-            console.log(`Track ${i+1}: "${track.name}"`);
-            console.log(`  Points: ${track.points.length}`);
-            console.log(`  Distance: ${track.distance ? (track.distance.total/1000).toFixed(1) + 'km' : 'Unknown'}`);
-            
-            // Try to match track names with segments
-            const segmentNumbers = ['01', '02', '03', '04', '05', '06', '07', '08', '09', '10', '11', 'cw01', 'cw02', 'cw03', 'cw04', 'cw05'];
-            for (const segNum of segmentNumbers) {
-                if (trackName.includes(segNum) || trackName.includes(segNum.replace('cw', 'collegiate west'))) {
-                    console.log(`  🎯 POTENTIAL MATCH: Segment ${segNum}`);
-                }
-            }
-        }
-    });
+    try {
+        const raw = await loadItinerary(manifest.data.itinerary);
+        const itinerary = resolveItinerary(raw, segments);
+        console.log(`🗓️  ITINERARY: ${itinerary.length} days`);
+        return itinerary;
+    } catch (error) {
+        // The trip still works segment by segment without its itinerary
+        console.error('Error loading itinerary:', error);
+        return null;
+    }
 }
 
-// GPX parsing is now handled by GPXParser.js library
+async function loadEncounterData(manifest, segments, itinerary) {
+    if (!manifest.data.encounters) return [];
+    
+    try {
+        const raw = await loadEncounters(manifest.data.encounters);
+        const encounters = resolveEncounters(raw, segments, itinerary);
+        const mapped = encounters.filter(encounter => encounter.coords).length;
+        console.log(`🦌 ENCOUNTERS: ${encounters.length} records, ${mapped} on the map`);
+        return encounters;
+    } catch (error) {
+        console.error('Error loading encounters:', error);
+        return [];
+    }
+}
+
+async function loadTrailReferenceData(manifest) {
+    if (!manifest.progress) return null;
+    
+    try {
+        const reference = await loadTrailReference(manifest.progress.reference);
+        console.log(`🏔️  TRAIL: ${reference.segments.length} reference segments of the ${reference.name}`);
+        return reference;
+    } catch (error) {
+        // Progress falls back to the manifest's trail length
+        console.error('Error loading trail reference:', error);
+        return null;
+    }
+}
 
-// Haversine distance in meters between two [lat, lon]
-function haversineMeters(a, b) {
-    const R = 6371000; // meters
-    const toRad = (d) => (d * Math.PI) / 180;
-    const dLat = toRad(b[0] - a[0]);
-    const dLon = toRad(b[1] - a[1]);
-    const lat1 = toRad(a[0]);
-    const lat2 = toRad(b[0]);
-    const s = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
-    return 2 * R * Math.asin(Math.min(1, Math.sqrt(s)));
+// Segment ids done: the tracker's marks on this device, else the manifest's list
+function completedSegmentIds(tripId, manifest) {
+    return loadProgressMarks(tripId) || manifest.progress.completed;
 }
 
-function computeCumulativeMeters(coords) {
-    if (!coords || coords.length === 0) return [];
-    const cum = new Array(coords.length).fill(0);
-    for (let i = 1; i < coords.length; i++) {
-        cum[i] = cum[i - 1] + haversineMeters(coords[i - 1], coords[i]);
+async function loadJournalData(manifest) {
+    if (!manifest.data.journal) return null;
+    
+    try {
+        const journal = await loadJournal(manifest.data.journal);
+        const count = Object.keys(journal.segments).length + Object.keys(journal.days).length;
+        console.log(`📓 JOURNAL: ${count} entries`);
+        return journal;
+    } catch (error) {
+        // Segments fall back to their notes and highlights
+        console.error('Error loading journal:', error);
+        return null;
+    }
+}
+
+async function loadPhotoData(manifest, segments, itinerary) {
+    if (!manifest.data.photos) return [];
+    
+    try {
+        const entries = await loadPhotoManifest(manifest.data.photos);
+        const photos = await placePhotos(entries, segments, itinerary);
+        console.log(`📷 PHOTOS: ${photos.length} of ${entries.length} placed on the map`);
+        return photos;
+    } catch (error) {
+        // Photos are a bonus; the trip works without them
+        console.error('Error loading photos:', error);
+        return [];
     }
-    return cum;
 }
 
-function processSegmentData(routeData) {
+// Segments built from route.json entries, each on its matched GPX track(s)
+function processSegmentData(routeData, parser) {
     console.log('=== ORDERED GPX PROCESSING v3.0 ===');
     
-    if (!trailGpxParser) {
+    if (!parser) {
         console.warn('No GPX data available, creating interpolated segments');
-        coloradoTrailSegments = routeData.map((segment, index) => {
+        return routeData.map((segment, index) => {
             const startCoords = [segment.start_coords.latitude, segment.start_coords.longitude];
             const endCoords = [segment.finish_coords.latitude, segment.finish_coords.longitude];
             let segmentCoords = createInterpolatedPath(startCoords, endCoords);
-            return buildSegmentObject(segment, index, segmentCoords, startCoords, endCoords);
+            return { ...buildSegmentObject(segment, index, segmentCoords, startCoords, endCoords), interpolated: true };
         });
-        return;
-    }
-    
-    // Create dynamic track order mapping by finding GPX tracks for each segment number
-    console.log('🔍 Building dynamic track order mapping...');
-    
-    const SEGMENT_ORDER = [
-        "01", "02", "03", "04", "05", "06", "07", "08", "09", "10", "11", "CW01", "CW02", "CW03", "CW05"
-    ];
-    
-    const CORRECT_TRACK_ORDER = [];
-    
-    // For each segment in correct order, find its corresponding GPX track
-    for (let segmentIndex = 0; segmentIndex < SEGMENT_ORDER.length; segmentIndex++) {
-        const targetSegment = SEGMENT_ORDER[segmentIndex];
-        let foundTrackIndex = -1;
-        
-        // Search through all GPX tracks to find the one that matches this segment
-        for (let trackIndex = 0; trackIndex < trailGpxParser.tracks.length; trackIndex++) {
-            const track = trailGpxParser.tracks[trackIndex];
-            if (track.name && track.name.toLowerCase().startsWith(targetSegment.toLowerCase())) {
-                foundTrackIndex = trackIndex;
-                break;
-            }
-        }
-        
-        if (foundTrackIndex >= 0) {
-            CORRECT_TRACK_ORDER.push({
-                gpxTrackIndex: foundTrackIndex,
-                name: trailGpxParser.tracks[foundTrackIndex].name,
-                segmentNumber: targetSegment
-            });
-            console.log(`   Segment ${segmentIndex + 1} (${targetSegment}) → GPX Track ${foundTrackIndex}: "${trailGpxParser.tracks[foundTrackIndex].name}"`);
-        } else {
-            CORRECT_TRACK_ORDER.push(null);
-            console.log(`   ⚠️  Segment ${segmentIndex + 1} (${targetSegment}) → No matching GPX track found`);
-        }
     }
     
-    console.log('🗺️  Using dynamic track order mapping for correct sequencing');
+    // Pair route.json segments with GPX tracks by endpoints, track names and waypoints
+    const matchResult = matchSegmentsToTracks(routeData, parser.tracks || [], parser.waypoints || []);
+    const matchReport = buildMatchReport(matchResult);
+    logMatchReport(matchReport);
     
     let segments = [];
     let gpxMatchCount = 0;
     let interpolatedCount = 0;
     
-    // Process segments in the correct order using our mapping
     for (let i = 0; i < routeData.length; i++) {
         const segmentData = routeData[i];
+        const match = matchResult.matches[i];
         const startCoords = [segmentData.start_coords.latitude, segmentData.start_coords.longitude];
         const endCoords = [segmentData.finish_coords.latitude, segmentData.finish_coords.longitude];
         
-        console.log(`\n--- Segment ${i+1}: ${segmentData.name} ---`);
+        const track = match.tracks.length > 0 ? assembleMatchedTrack(match, parser.tracks) : { coords: [], times: null };
+        const trackCoords = track.coords;
+        let segment;
         
-        // Get the correct GPX track for this segment using our dynamic mapping
-        const trackMapping = CORRECT_TRACK_ORDER[i];
-        
-        if (trackMapping && trackMapping.gpxTrackIndex >= 0 && trailGpxParser.tracks[trackMapping.gpxTrackIndex]) {
-            const gpxTrack = trailGpxParser.tracks[trackMapping.gpxTrackIndex];
-            
-            console.log(`✅ Using GPX track ${trackMapping.gpxTrackIndex}: "${gpxTrack.name}"`);
-            console.log(`   Segment ${trackMapping.segmentNumber} correctly mapped`);
-            
-            if (gpxTrack.points && gpxTrack.points.length >= 2) {
-                const trackCoords = gpxTrack.points.map(p => [p.lat, p.lon]);
-                
-                // Use GPX coordinates as the true start/end points (no adjustment to route.json)
-                const gpxStartCoords = trackCoords[0];
-                const gpxEndCoords = trackCoords[trackCoords.length - 1];
-                
-                console.log(`   📍 Using ${trackCoords.length} GPS points with TRUE GPS start/end coordinates`);
-                console.log(`   🎯 GPS start: [${gpxStartCoords[0].toFixed(6)}, ${gpxStartCoords[1].toFixed(6)}]`);
-                console.log(`   🎯 GPS end: [${gpxEndCoords[0].toFixed(6)}, ${gpxEndCoords[1].toFixed(6)}]`);
-                
-                segments.push(buildSegmentObject(segmentData, i, trackCoords, gpxStartCoords, gpxEndCoords));
-                gpxMatchCount++;
-            } else {
-                console.log(`   ✗ Track has no points, using interpolated path`);
-                const interpolatedPath = createInterpolatedPath(startCoords, endCoords);
-                segments.push(buildSegmentObject(segmentData, i, interpolatedPath, startCoords, endCoords));
-                interpolatedCount++;
-            }
+        if (trackCoords.length >= 2) {
+            // Use GPX coordinates as the true start/end points (no adjustment to route.json)
+            segment = buildSegmentObject(segmentData, i, trackCoords, trackCoords[0], trackCoords[trackCoords.length - 1], track.times);
+            gpxMatchCount++;
         } else {
-            console.log(`   ✗ No track mapping found for segment ${i+1}, using interpolated path`);
             const interpolatedPath = createInterpolatedPath(startCoords, endCoords);
-            segments.push(buildSegmentObject(segmentData, i, interpolatedPath, startCoords, endCoords));
+            segment = { ...buildSegmentObject(segmentData, i, interpolatedPath, startCoords, endCoords), interpolated: true };
             interpolatedCount++;
         }
+        
+        segment.match = matchReport.pairings[i];
+        segments.push(segment);
     }
     
     console.log(`\n=== ORDERED RESULTS ===`);
@@ -265,280 +1130,13 @@ function processSegmentData(routeData) {
     console.log(`  🛰️  Real GPS tracks: ${gpxMatchCount} segments`);
     console.log(`  📐 Interpolated paths: ${interpolatedCount} segments`);
     console.log(`  📊 GPS coverage: ${((gpxMatchCount/segments.length)*100).toFixed(1)}%`);
-    console.log(`  🔄 Sequential order: GUARANTEED`);
-    
-    coloradoTrailSegments = segments;
-}
-
-function findMatchingTrackForSegment(segmentData, segmentNumber) {
-    if (!trailGpxParser.tracks) return null;
-    
-    const segmentName = segmentData.name.toLowerCase();
-    
-    // Create search patterns for this segment
-    const patterns = [
-        `${segmentNumber.toString().padStart(2, '0')}`,  // "01", "02", etc.
-        `segment ${segmentNumber}`,                       // "segment 1"
-        `seg ${segmentNumber}`,                          // "seg 1"
-        segmentNumber > 11 ? `cw0${segmentNumber - 11}` : null,  // "cw01" for collegiate west
-        segmentNumber > 11 ? `collegiate west 0${segmentNumber - 11}` : null,
-    ].filter(Boolean);
-    
-    // Add location-based patterns
-    if (segmentName.includes('waterton')) patterns.push('waterton');
-    if (segmentName.includes('south platte')) patterns.push('south platte', 'platte');
-    if (segmentName.includes('little scraggy')) patterns.push('little scraggy', 'scraggy');
-    if (segmentName.includes('rolling creek')) patterns.push('rolling creek');
-    if (segmentName.includes('long gulch')) patterns.push('long gulch');
-    if (segmentName.includes('kenosha')) patterns.push('kenosha');
-    if (segmentName.includes('gold hill')) patterns.push('gold hill');
-    if (segmentName.includes('copper mountain')) patterns.push('copper mountain');
-    if (segmentName.includes('tennessee')) patterns.push('tennessee');
-    if (segmentName.includes('timberline')) patterns.push('timberline');
-    if (segmentName.includes('mount massive')) patterns.push('mount massive', 'massive');
-    if (segmentName.includes('clear creek')) patterns.push('clear creek');
-    if (segmentName.includes('twin lakes')) patterns.push('twin lakes');
-    if (segmentName.includes('sheep gulch')) patterns.push('sheep gulch');
-    if (segmentName.includes('cottonwood')) patterns.push('cottonwood');
-    if (segmentName.includes('tin cup')) patterns.push('tin cup');
-    if (segmentName.includes('boss lake')) patterns.push('boss lake');
-    
-    console.log(`  🔍 Searching for patterns: ${patterns.join(', ')}`);
-    
-    // Search through all tracks
-    for (const track of trailGpxParser.tracks) {
-        if (!track.name) continue;
-        
-        const trackName = track.name.toLowerCase();
-        console.log(`  Checking track: "${track.name}"`);
-        
-        for (const pattern of patterns) {
-            if (trackName.includes(pattern.toLowerCase())) {
-                console.log(`  🎯 MATCH! Track "${track.name}" contains "${pattern}"`);
-                return track;
-            }
-        }
-    }
-    
-    return null;
-}
-
-function extractSegmentUsingWaypoints(segmentData, segmentIndex, startCoords, endCoords) {
-    if (!trailGpxParser.tracks || trailGpxParser.tracks.length === 0) return null;
-    
-    const mainTrack = trailGpxParser.tracks[0];
-    if (!mainTrack.points || mainTrack.points.length === 0) return null;
-    
-    const trackCoords = mainTrack.points.map(p => [p.lat, p.lon]);
-    
-    // Find waypoints near the start and end coordinates
-    const startWaypoint = findClosestWaypoint(startCoords);
-    const endWaypoint = findClosestWaypoint(endCoords);
-    
-    console.log(`  Start waypoint: ${startWaypoint ? startWaypoint.name : 'None found'}`);
-    console.log(`  End waypoint: ${endWaypoint ? endWaypoint.name : 'None found'}`);
-    
-    if (startWaypoint && endWaypoint) {
-        // Find these waypoint locations in the main track
-        const startIdx = findClosestPointIndex(trackCoords, [startWaypoint.lat, startWaypoint.lon]);
-        const endIdx = findClosestPointIndex(trackCoords, [endWaypoint.lat, endWaypoint.lon]);
-        
-        if (startIdx !== null && endIdx !== null && startIdx < endIdx) {
-            const segmentPath = trackCoords.slice(startIdx, endIdx + 1);
-            
-            // Keep original GPS waypoint coordinates (no adjustment)
-            console.log(`  ✅ Found waypoint-based segment: ${segmentPath.length} points`);
-            console.log(`  Original GPS start: [${segmentPath[0][0].toFixed(6)}, ${segmentPath[0][1].toFixed(6)}]`);
-            console.log(`  Original GPS end: [${segmentPath[segmentPath.length-1][0].toFixed(6)}, ${segmentPath[segmentPath.length-1][1].toFixed(6)}]`);
-            return segmentPath;
-        }
-    }
-    
-    // Fallback: try coordinate-based matching with very liberal tolerance
-    console.log(`  🔄 Fallback: trying coordinate matching...`);
-    return findGpxSegmentForCoordinates(mainTrack.points, startCoords, endCoords, segmentIndex);
-}
-
-function findClosestWaypoint(targetCoords) {
-    if (!trailGpxParser.waypoints || trailGpxParser.waypoints.length === 0) return null;
-    
-    let closest = null;
-    let minDistance = Number.MAX_VALUE;
-    
-    for (const waypoint of trailGpxParser.waypoints) {
-        const distance = calculateDistance([waypoint.lat, waypoint.lon], targetCoords);
-        if (distance < minDistance) {
-            minDistance = distance;
-            closest = waypoint;
-        }
-    }
-    
-    // Only return if reasonably close (within ~50 miles)
-    return minDistance < 0.5 ? closest : null;
-}
-
-function findGpxSegmentForCoordinates(allPoints, startCoords, endCoords, segmentIndex) {
-    // Convert GPX points to coordinate arrays for easier processing
-    const gpxCoords = allPoints.map(p => [p.lat, p.lon]);
-    
-    // Much more aggressive tolerance - the GPX contains different segments but might have some overlap
-    let maxDistance = 3.0; // Very large tolerance to catch any possible matches
-    
-    // Find closest points to start and end coordinates
-    let bestStartIdx = findClosestPointIndex(gpxCoords, startCoords);
-    let bestEndIdx = findClosestPointIndex(gpxCoords, endCoords);
-    
-    const startDist = calculateDistance(gpxCoords[bestStartIdx], startCoords);
-    const endDist = calculateDistance(gpxCoords[bestEndIdx], endCoords);
-    
-    console.log(`Closest start: index ${bestStartIdx}, distance ${startDist.toFixed(6)}`);
-    console.log(`Closest end: index ${bestEndIdx}, distance ${endDist.toFixed(6)}`);
-    
-    // Try multiple approaches to find GPS data:
-    
-    // Approach 1: Direct coordinate matching (even if far)
-    if (startDist <= maxDistance && endDist <= maxDistance) {
-        console.log(`✓ Found potential GPS match using direct coordinate matching`);
-        return extractGpsTrackBetweenPoints(gpxCoords, bestStartIdx, bestEndIdx, startCoords, endCoords, 'direct');
-    }
-    
-    // Approach 2: Find any nearby GPS segments and try to interpolate
-    const nearbyStartPoints = findNearbyIndices(gpxCoords, startCoords, maxDistance).slice(0, 5);
-    const nearbyEndPoints = findNearbyIndices(gpxCoords, endCoords, maxDistance).slice(0, 5);
-    
-    if (nearbyStartPoints.length > 0 && nearbyEndPoints.length > 0) {
-        console.log(`Found ${nearbyStartPoints.length} near start, ${nearbyEndPoints.length} near end - trying best combinations`);
-        
-        // Try different combinations to find the best GPS path
-        let bestPath = null;
-        let bestScore = Number.MAX_VALUE;
-        
-        for (const startPoint of nearbyStartPoints) {
-            for (const endPoint of nearbyEndPoints) {
-                if (startPoint.index !== endPoint.index) {
-                    const path = extractGpsTrackBetweenPoints(gpxCoords, startPoint.index, endPoint.index, startCoords, endCoords, 'nearby');
-                    if (path && path.length >= 2) {
-                        const score = startPoint.distance + endPoint.distance;
-                        if (score < bestScore) {
-                            bestScore = score;
-                            bestPath = path;
-                        }
-                    }
-                }
-            }
-        }
-        
-        if (bestPath) {
-            console.log(`✓ Found GPS path using nearby point combination (score: ${bestScore.toFixed(4)})`);
-            return bestPath;
-        }
-    }
-    
-    // Approach 3: Use GPXParser's built-in distance calculations to find segments
-    const track = trailGpxParser.tracks[0];
-    if (track.distance && track.distance.cumul) {
-        const gpsPath = findSegmentByDistance(track, startCoords, endCoords, segmentIndex);
-        if (gpsPath) {
-            console.log(`✓ Found GPS path using distance-based matching`);
-            return gpsPath;
-        }
-    }
-    
-    console.log(`✗ No GPS match found with any approach`);
-    return null;
-}
-
-function extractGpsTrackBetweenPoints(gpxCoords, startIdx, endIdx, targetStart, targetEnd, method) {
-    // Ensure proper ordering
-    if (startIdx > endIdx) {
-        [startIdx, endIdx] = [endIdx, startIdx];
-    }
-    
-    // Extract the GPS track between these points
-    const rawGpsSegment = gpxCoords.slice(startIdx, endIdx + 1);
-    
-    if (rawGpsSegment.length < 2) {
-        return null;
-    }
-    
-    console.log(`${method}: Extracted ${rawGpsSegment.length} GPS points from indices ${startIdx} to ${endIdx}`);
-    
-    // Sample if too many points
-    let finalPath = rawGpsSegment;
-    if (rawGpsSegment.length > 300) {
-        finalPath = intelligentSample(rawGpsSegment, 200);
-        console.log(`Sampled to ${finalPath.length} points`);
-    }
     
-    // Keep original GPS endpoints (no adjustment to route.json coordinates)
-    console.log(`Preserving original GPS start: [${finalPath[0][0].toFixed(6)}, ${finalPath[0][1].toFixed(6)}]`);
-    console.log(`Preserving original GPS end: [${finalPath[finalPath.length-1][0].toFixed(6)}, ${finalPath[finalPath.length-1][1].toFixed(6)}]`);
-    
-    // Calculate winding ratio to verify this looks like a real trail
-    const straightDistance = calculateDistance(targetStart, targetEnd);
-    const trailDistance = calculateTotalDistance(finalPath);
-    const windingRatio = trailDistance / straightDistance;
-    
-    console.log(`GPS track: straight=${straightDistance.toFixed(4)}°, trail=${trailDistance.toFixed(4)}°, winding=${windingRatio.toFixed(1)}x`);
-    
-    // Accept tracks that have reasonable winding (real trails are rarely straight)
-    if (windingRatio > 0.5 && windingRatio < 10) {
-        return finalPath;
-    } else {
-        console.log(`Rejected: unrealistic winding ratio ${windingRatio.toFixed(1)}x`);
-        return null;
-    }
-}
-
-function findSegmentByDistance(track, startCoords, endCoords, segmentIndex) {
-    // Use GPXParser's distance data to find the best matching segment
-    const points = track.points;
-    const cumulativeDistances = track.distance.cumul;
-    const totalDistance = track.distance.total;
-    
-    if (!cumulativeDistances || cumulativeDistances.length !== points.length) {
-        return null;
-    }
-    
-    // Calculate target segment distance
-    const targetDistance = calculateDistance(startCoords, endCoords) * 111000; // rough conversion to meters
-    
-    console.log(`Looking for GPS segment with ~${targetDistance.toFixed(0)}m distance`);
-    
-    // Look for segments in the GPX that have similar distances
-    for (let i = 0; i < points.length - 10; i++) {
-        for (let j = i + 10; j < points.length; j++) {
-            const segmentDistance = cumulativeDistances[j] - cumulativeDistances[i];
-            const distanceRatio = Math.abs(segmentDistance - targetDistance) / targetDistance;
-            
-            if (distanceRatio < 0.5) { // Within 50% of target distance
-                const segmentCoords = points.slice(i, j + 1).map(p => [p.lat, p.lon]);
-                console.log(`Found potential segment i=${i}-${j}, distance=${segmentDistance.toFixed(0)}m, ratio=${distanceRatio.toFixed(2)}`);
-                
-                if (segmentCoords.length >= 2) {
-                    // Keep original GPS endpoints (no adjustment)
-                    console.log(`Using original GPS segment endpoints from distance matching`);
-                    return segmentCoords;
-                }
-            }
-        }
-    }
-    
-    return null;
-}
-
-function findNearbyIndices(gpxCoords, targetCoord, maxDistance) {
-    const options = [];
-    for (let i = 0; i < gpxCoords.length; i++) {
-        const distance = calculateDistance(gpxCoords[i], targetCoord);
-        if (distance <= maxDistance) {
-            options.push({ index: i, distance: distance });
-        }
-    }
-    return options.sort((a, b) => a.distance - b.distance);
+    return segments;
 }
 
-function buildSegmentObject(rd, index, coords, startCoords, endCoords) {
+// `times` is the GPS timestamp of each coordinate, or null for distance-only tracks
+function buildSegmentObject(rd, index, coords, startCoords, endCoords, times = null) {
+    const cumulativeMeters = computeCumulativeMeters(coords);
     return {
         id: index + 1,
         name: rd.name,
@@ -549,7 +1147,13 @@ function buildSegmentObject(rd, index, coords, startCoords, endCoords) {
         coordinates: coords,
         startCoords: startCoords,
         endCoords: endCoords,
-        elevation: getSegmentElevationData(index + 1),
+        cumulativeMeters: cumulativeMeters,
+        // A straight line between the route.json ends, not a GPX track
+        interpolated: false,
+        times: times,
+        timing: computeTimeAnalytics(coords, cumulativeMeters, times),
+        elevation: buildElevationProfile(coords),
+        detailLevels: buildDetailLevels(coords),
         highlights: getSegmentHighlights(index + 1)
     };
 }
@@ -560,78 +1164,8 @@ function buildSegmentObject(rd, index, coords, startCoords, endCoords) {
 
 // Removed old complex functions - using simplified approach
 
-function calculateDistance(coord1, coord2) {
-    // Simple distance calculation in degrees (approximate)
-    return Math.sqrt(
-        Math.pow(coord1[0] - coord2[0], 2) + 
-        Math.pow(coord1[1] - coord2[1], 2)
-    );
-}
-
-function calculateTotalDistance(coordinates) {
-    let total = 0;
-    for (let i = 1; i < coordinates.length; i++) {
-        total += calculateDistance(coordinates[i-1], coordinates[i]);
-    }
-    return total;
-}
-
 // Removed old GPX extraction functions - using new coordinate-based approach
 
-function findClosestPointIndex(coordinates, targetCoord) {
-    let closestIndex = 0;
-    let minDistance = Number.MAX_VALUE;
-    
-    // Use a more efficient search approach for large datasets
-    const searchStep = Math.max(1, Math.floor(coordinates.length / 1000)); // Sample every nth point for large datasets
-    
-    // First pass: find approximate area
-    for (let i = 0; i < coordinates.length; i += searchStep) {
-        const coord = coordinates[i];
-        const distance = calculateDistance(coord, targetCoord);
-        
-        if (distance < minDistance) {
-            minDistance = distance;
-            closestIndex = i;
-        }
-    }
-    
-    // Second pass: fine-tune search in the local area
-    const searchRadius = Math.max(50, searchStep * 2);
-    const searchStart = Math.max(0, closestIndex - searchRadius);
-    const searchEnd = Math.min(coordinates.length, closestIndex + searchRadius);
-    
-    minDistance = Number.MAX_VALUE;
-    for (let i = searchStart; i < searchEnd; i++) {
-        const coord = coordinates[i];
-        const distance = calculateDistance(coord, targetCoord);
-        
-        if (distance < minDistance) {
-            minDistance = distance;
-            closestIndex = i;
-        }
-    }
-    
-    return closestIndex;
-}
-
-function intelligentSample(coordinates, targetPoints) {
-    if (coordinates.length <= targetPoints) {
-        return coordinates;
-    }
-    
-    const result = [coordinates[0]]; // Always include first point
-    const step = (coordinates.length - 1) / (targetPoints - 1);
-    
-    for (let i = 1; i < targetPoints - 1; i++) {
-        const index = Math.round(i * step);
-        result.push(coordinates[index]);
-    }
-    
-    result.push(coordinates[coordinates.length - 1]); // Always include last point
-    return result;
-}
-
 function createInterpolatedPath(startCoords, endCoords) {
     const steps = 10; // Number of intermediate points
     const path = [startCoords];
@@ -661,7 +1195,8 @@ function addStartFinishMarkers() {
             iconAnchor: [15, 15]
         })
     }).addTo(map);
-    startMarker.bindPopup("<b>Start: Waterton Canyon</b><br>The beginning of Onyx's incredible journey!");
+    const { start, finish } = tripManifest.narrative;
+    startMarker.bindPopup(`<b>${narrativeHtml(start.title)}</b><br>${narrativeHtml(start.text)}`);
     
     const finishMarker = L.marker(lastSegment.endCoords, {
         icon: L.divIcon({
@@ -671,30 +1206,212 @@ function addStartFinishMarkers() {
             iconAnchor: [15, 15]
         })
     }).addTo(map);
-    finishMarker.bindPopup("<b>Finish: Boss Lake TH</b><br>All 15 segments completed! What an incredible achievement!");
-}
-
-function getSegmentElevationData(segmentId) {
-    // Actual elevation data from Colorado Trail Foundation
-    const elevationData = {
-        1: { gain: 1580, loss: 760, minElevation: 5440, maxElevation: 6280 },
-        2: { gain: 2390, loss: 980, minElevation: 5520, maxElevation: 7040 },
-        3: { gain: 1980, loss: 1540, minElevation: 6120, maxElevation: 7760 },
-        4: { gain: 2980, loss: 2240, minElevation: 6520, maxElevation: 8920 },
-        5: { gain: 2440, loss: 1900, minElevation: 7280, maxElevation: 10040 },
-        6: { gain: 4200, loss: 3680, minElevation: 8400, maxElevation: 12040 },
-        7: { gain: 1840, loss: 2420, minElevation: 9200, maxElevation: 11760 },
-        8: { gain: 3280, loss: 2680, minElevation: 9600, maxElevation: 12600 },
-        9: { gain: 2180, loss: 2540, minElevation: 9840, maxElevation: 12460 },
-        10: { gain: 1940, loss: 2100, minElevation: 9600, maxElevation: 11920 },
-        11: { gain: 3420, loss: 2980, minElevation: 9200, maxElevation: 12600 },
-        12: { gain: 2680, loss: 3180, minElevation: 8800, maxElevation: 11680 },
-        13: { gain: 3840, loss: 3240, minElevation: 8400, maxElevation: 12200 },
-        14: { gain: 2280, loss: 3680, minElevation: 7800, maxElevation: 10840 },
-        15: { gain: 1680, loss: 2180, minElevation: 8200, maxElevation: 11200 }
-    };
+    finishMarker.bindPopup(`<b>${narrativeHtml(finish.title)}</b><br>${narrativeHtml(finish.text)}`);
+    
+    tripMarkers.push(startMarker, finishMarker);
+}
+
+// One tent marker per camp; zero days add their night to the camp they stayed at.
+// The last day ends at the finish marker, so it has no camp of its own.
+function addCampMarkers() {
+    if (!tripItinerary) return;
+    
+    const camps = [];
+    tripItinerary.slice(0, -1).forEach(day => {
+        const previousCamp = camps[camps.length - 1];
+        if (previousCamp && previousCamp.name === day.camp.name) {
+            previousCamp.days.push(day);
+        } else {
+            camps.push({ name: day.camp.name, coords: day.camp.coords, days: [day] });
+        }
+    });
+    
+    camps.forEach(camp => {
+        const marker = L.marker(camp.coords, {
+            icon: L.divIcon({
+                className: 'custom-marker camp-marker',
+                html: '<i class="fas fa-campground"></i>',
+                iconSize: [24, 24],
+                iconAnchor: [12, 12]
+            })
+        }).addTo(map);
+        
+        const nights = camp.days.map(day => {
+            const date = formatItineraryDate(day.date);
+            return `${escapeHtml(day.name)}${date ? ` (${escapeHtml(date)})` : ''}: ${formatDayType(day.type)}`;
+        });
+        const town = camp.days.find(day => day.town);
+        marker.bindPopup(`
+            <b><i class="fas fa-campground"></i> ${escapeHtml(camp.name)}</b><br>
+            ${town ? `Town stop: ${escapeHtml(town.town)}<br>` : ''}
+            ${nights.join('<br>')}
+        `);
+        tripMarkers.push(marker);
+    });
+}
+
+// Encounters with a place, one layer per type so the filter chips can hide them
+function addEncounterMarkers() {
+    ENCOUNTER_TYPES.forEach(type => {
+        const mapped = tripEncounters.filter(encounter => encounter.type === type.id && encounter.coords);
+        if (mapped.length === 0) return;
+        
+        const layer = L.layerGroup();
+        mapped.forEach(encounter => {
+            const day = tripItinerary && encounter.dayIndex !== -1 ? tripItinerary[encounter.dayIndex] : null;
+            const segment = coloradoTrailSegments[encounter.segmentIndex];
+            L.marker(encounter.coords, {
+                icon: L.divIcon({
+                    className: `custom-marker encounter-marker encounter-${type.id}`,
+                    html: `<i class="fas ${type.icon}"></i>`,
+                    iconSize: [26, 26],
+                    iconAnchor: [13, 13]
+                })
+            }).bindPopup(`
+                <b><i class="fas ${type.icon}"></i> ${escapeHtml(capitalize(formatEncounter(encounter)))}</b><br>
+                ${day ? `${escapeHtml(day.name)} · ` : ''}${segment ? escapeHtml(segment.name) : ''}
+                ${encounter.notes ? `<br>${escapeHtml(encounter.notes)}` : ''}
+            `).addTo(layer);
+        });
+        
+        addOverlayLayer(type.id, type.label, type.icon, layer, mapped.length);
+    });
+}
+
+// Named GPX waypoints with an icon per type; the popup gives the trail mile and elevation
+function addWaypointMarkers() {
+    if (tripWaypoints.length === 0) return;
+    
+    const layer = L.layerGroup();
+    waypointMarkers = tripWaypoints.map(waypoint => L.marker(waypoint.coords, {
+        icon: L.divIcon({
+            className: `custom-marker waypoint-marker waypoint-${waypoint.type.id}`,
+            html: `<i class="fas ${waypoint.type.icon}"></i>`,
+            iconSize: [22, 22],
+            iconAnchor: [11, 11]
+        })
+    }).bindPopup(`
+        <b><i class="fas ${waypoint.type.icon}"></i> ${escapeHtml(waypoint.name)}</b><br>
+        ${waypoint.type.label}${formatWaypointPosition(waypoint) ? ` · ${formatWaypointPosition(waypoint)}` : ''}
+        ${waypoint.description ? `<br>${escapeHtml(waypoint.description)}` : ''}
+    `).addTo(layer));
+    
+    addOverlayLayer('waypoints', 'Waypoints', 'fa-map-signs', layer, tripWaypoints.length);
+}
+
+// Put a trip layer on the map (unless its chip was switched off) with a chip to toggle it
+function addOverlayLayer(id, label, icon, layer, count) {
+    if (!hiddenOverlays.has(id)) layer.addTo(map);
+    overlayLayers[id] = { label: label, icon: icon, layer: layer, count: count };
+    tripMarkers.push(layer);
+    renderLayerFilters();
+}
+
+// One chip per overlay on the map; clicking shows or hides that layer
+function renderLayerFilters() {
+    const container = document.getElementById('layer-filters');
+    const ids = Object.keys(overlayLayers);
+    container.hidden = ids.length === 0;
+    container.innerHTML = ids.map(id => {
+        const overlay = overlayLayers[id];
+        return `
+            <button class="layer-filter overlay-${id} ${hiddenOverlays.has(id) ? '' : 'active'}" data-overlay="${id}"
+                aria-pressed="${!hiddenOverlays.has(id)}" title="Show or hide ${overlay.label.toLowerCase()} on the map">
+                <i class="fas ${overlay.icon}"></i> ${overlay.label} <span>${overlay.count}</span>
+            </button>
+        `;
+    }).join('');
+}
+
+function setupLayerFilters() {
+    document.getElementById('layer-filters').addEventListener('click', (event) => {
+        const button = event.target.closest('.layer-filter');
+        if (!button) return;
+        const id = button.dataset.overlay;
+        if (hiddenOverlays.has(id)) {
+            hiddenOverlays.delete(id);
+            map.addLayer(overlayLayers[id].layer);
+        } else {
+            hiddenOverlays.add(id);
+            map.removeLayer(overlayLayers[id].layer);
+        }
+        renderLayerFilters();
+    });
+}
+
+// Waypoints along a segment as chips that fly the map to them
+function waypointChipsHtml(segmentIndex) {
+    const waypoints = tripWaypoints.filter(waypoint => waypoint.segmentIndexes.includes(segmentIndex));
+    if (waypoints.length === 0) return '';
+    return `
+        <div class="waypoint-chips">
+            <h4><i class="fas fa-map-signs"></i> Waypoints</h4>
+            ${waypoints.map(waypoint => `
+                <button class="waypoint-chip waypoint-${waypoint.type.id}" data-waypoint="${tripWaypoints.indexOf(waypoint)}"
+                    title="${escapeHtml(waypoint.type.label)}${formatWaypointPosition(waypoint) ? ` · ${formatWaypointPosition(waypoint)}` : ''}">
+                    <i class="fas ${waypoint.type.icon}"></i> ${escapeHtml(waypoint.name)}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function attachWaypointChips(container) {
+    container.querySelectorAll('.waypoint-chip').forEach(chip => {
+        chip.addEventListener('click', () => flyToWaypoint(Number(chip.dataset.waypoint)));
+    });
+}
+
+function flyToWaypoint(index) {
+    const waypoint = tripWaypoints[index];
+    const marker = waypointMarkers[index];
+    // Listen first: without animation flyTo finishes (and fires moveend) straight away
+    map.once('moveend', () => {
+        // With the layer switched off there is no marker to open, so show a loose popup
+        if (marker && map.hasLayer(marker)) {
+            marker.openPopup();
+        } else {
+            L.popup()
+                .setLatLng(waypoint.coords)
+                .setContent(`<b>${escapeHtml(waypoint.name)}</b><br>${formatWaypointPosition(waypoint)}`)
+                .openOn(map);
+        }
+    });
+    map.flyTo(waypoint.coords, Math.max(map.getZoom(), 14));
+}
+
+// Thumbnail markers for the trip's photos, clustered (with the first photo and a
+// count) where they crowd together
+function addPhotoMarkers() {
+    if (tripPhotos.length === 0) return;
+    
+    const thumbnailIcon = (photo, count) => L.divIcon({
+        className: 'photo-marker',
+        html: `<img src="${escapeHtml(photo.thumb)}" alt="">${count > 1 ? `<span class="photo-count">${count}</span>` : ''}`,
+        iconSize: [44, 44],
+        iconAnchor: [22, 22]
+    });
+    
+    // Fall back to plain markers if the cluster plugin didn't load
+    const group = typeof L.markerClusterGroup === 'function'
+        ? L.markerClusterGroup({
+            maxClusterRadius: 50,
+            showCoverageOnHover: false,
+            iconCreateFunction: (cluster) => {
+                const markers = cluster.getAllChildMarkers();
+                return thumbnailIcon(markers[0].options.photo, markers.length);
+            }
+        })
+        : L.layerGroup();
     
-    return elevationData[segmentId] || { gain: 2000, loss: 1500, minElevation: 8000, maxElevation: 10000 };
+    tripPhotos.forEach((photo, index) => {
+        const marker = L.marker(photo.coords, { icon: thumbnailIcon(photo, 1), photo: photo });
+        marker.on('click', () => openPhotoLightbox(tripPhotos, index));
+        group.addLayer(marker);
+    });
+    
+    group.addTo(map);
+    tripMarkers.push(group);
 }
 
 function getSegmentHighlights(segmentId) {
@@ -716,194 +1433,997 @@ function getSegmentHighlights(segmentId) {
         15: "Final segment! Boss Lake and the ultimate finish at the main Colorado Trail route"
     };
     
-    return "Beautiful Colorado wilderness experience";
+    return highlights[segmentId] || "Beautiful Colorado wilderness experience";
+}
+
+function setupEventListeners() {
+    const animateBtn = document.getElementById('animate-route');
+    const resetBtn = document.getElementById('reset-animation');
+    
+    animateBtn.addEventListener('click', startAnimation);
+    resetBtn.addEventListener('click', resetAnimation);
+}
+
+// Percentage and miles along the whole trail, a breakdown per alternate, and a checklist
+// to mark more segments done. Marks stay on this device until the manifest catches up.
+function renderTrailProgress() {
+    const container = document.getElementById('trail-progress');
+    if (!container || !tripProgress) return;
+    
+    const wasOpen = Boolean(container.querySelector('details[open]'));
+    const segmentsOf = (part) => tripTrailReference.segments.filter(segment => segment.alternate === part.id);
+    const routeLabel = tripProgress.route && tripProgress.route.completedMiles > 0 ? ` via ${escapeHtml(tripProgress.route.label)}` : '';
+    const hasMarks = loadProgressMarks(activeTripId) !== null;
+    
+    container.innerHTML = `
+        <h4><i class="fas fa-tasks"></i> Trail progress</h4>
+        <div class="trail-progress-bar"><span style="width: ${tripProgress.percent.toFixed(1)}%"></span></div>
+        <p>
+            <strong>${tripProgress.percent.toFixed(1)}%</strong> of the ${escapeHtml(tripTrailReference.name)}${routeLabel} ·
+            ${tripProgress.completedMiles.toFixed(1)} of ${tripProgress.totalMiles.toFixed(1)} miles ·
+            <strong>${tripProgress.remainingMiles.toFixed(1)} miles to go</strong>
+        </p>
+        <ul class="trail-progress-parts">
+            ${tripProgress.parts.map(part => `
+                <li class="${tripProgress.route && part.id === tripProgress.route.id ? 'current-route' : ''}">
+                    <span>${escapeHtml(part.label)}</span>
+                    <span>${part.completedMiles.toFixed(1)} / ${part.totalMiles.toFixed(1)} mi · ${part.completedCount} of ${part.segmentCount} segments</span>
+                </li>
+            `).join('')}
+        </ul>
+        <details ${wasOpen ? 'open' : ''}>
+            <summary>Update progress</summary>
+            ${tripProgress.parts.map(part => `
+                <fieldset class="trail-progress-checklist">
+                    <legend>${escapeHtml(part.label)}</legend>
+                    ${segmentsOf(part).map(segment => `
+                        <label>
+                            <input type="checkbox" value="${escapeHtml(segment.id)}" ${tripProgress.completed.has(segment.id) ? 'checked' : ''}>
+                            ${escapeHtml(segment.id)} · ${escapeHtml(segment.name)} <span>${segment.miles.toFixed(1)} mi</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `).join('')}
+            <p class="import-meta">${hasMarks ? 'Changes are saved on this device. Copy the list into the trip manifest to publish them.' : 'Showing the progress published in the trip manifest.'}</p>
+            <div class="import-actions">
+                <button class="btn-secondary" data-action="copy"><i class="fas fa-copy"></i> Copy list</button>
+                <button class="btn-secondary" data-action="reset" ${hasMarks ? '' : 'disabled'}><i class="fas fa-undo"></i> Back to published</button>
+            </div>
+        </details>
+    `;
+    
+    container.querySelectorAll('.trail-progress-checklist input').forEach(input => {
+        input.addEventListener('change', () => {
+            const checked = [...container.querySelectorAll('.trail-progress-checklist input:checked')].map(box => box.value);
+            // Keep the reference's order so the copied list reads along the trail
+            setTrailProgress(tripTrailReference.segments.map(segment => segment.id).filter(id => checked.includes(id)));
+        });
+    });
+    const copyButton = container.querySelector('[data-action="copy"]');
+    copyButton.addEventListener('click', async () => {
+        const ids = tripTrailReference.segments.map(segment => segment.id).filter(id => tripProgress.completed.has(id));
+        const text = `"completed": ${JSON.stringify(ids)}`;
+        try {
+            await navigator.clipboard.writeText(text);
+            copyButton.innerHTML = '<i class="fas fa-check"></i> Copied';
+        } catch (error) {
+            console.log(`📋 PROGRESS: ${text}`);
+            window.prompt('Copy this into the trip manifest\'s "progress":', text);
+        }
+    });
+    container.querySelector('[data-action="reset"]').addEventListener('click', () => setTrailProgress(null));
+}
+
+// Apply the tracker's marks (null goes back to the manifest's list) and update the
+// hero numbers, the still-to-go line and the tracker itself
+function setTrailProgress(ids) {
+    saveProgressMarks(activeTripId, ids);
+    tripProgress = computeTrailProgress(tripTrailReference, completedSegmentIds(activeTripId, tripManifest));
+    tripCache[activeTripId].progress = tripProgress;
+    console.log(`🏔️  PROGRESS: ${tripProgress.percent.toFixed(1)}% done, ${tripProgress.remainingMiles.toFixed(1)} miles to go`);
+    
+    clearTrailOverlays();
+    drawTrailOverlays();
+    renderTrailProgress();
+    // The live line follows the alternate the progress now takes
+    if (tripManifest.live) {
+        liveTrail = buildLiveTrail(tripTrailReference, tripProgress, coloradoTrailSegments, tripWaypoints);
+    }
+    if (liveSummary) {
+        showCheckins(liveSummary.checkins);
+    } else {
+        updateTripStats();
+    }
+}
+
+// Headline numbers from the segments, whole-trail progress and live check-ins so far
+function updateTripStats() {
+    const liveMiles = liveSummary ? liveSummary.coveredMeters / METERS_PER_MILE : 0;
+    tripStats = computeTripStats(coloradoTrailSegments, tripManifest, tripItinerary, tripProgress, liveMiles);
+    tripCache[activeTripId].stats = tripStats;
+    renderTripStats(tripStats);
+}
+
+// Poll the trip's check-in feed while it is shown; the map, hero numbers and status
+// follow each new check-in
+function startLiveMode() {
+    if (!tripManifest.live) return;
+    
+    liveTrail = buildLiveTrail(tripTrailReference, tripProgress, coloradoTrailSegments, tripWaypoints);
+    liveLayer = L.featureGroup().addTo(map);
+    tripMarkers.push(liveLayer);
+    
+    const session = { tripId: activeTripId, feed: tripManifest.live.feed, pollMs: tripManifest.live.pollSeconds * 1000 };
+    liveSession = session;
+    pollLiveFeed(session);
+}
+
+async function pollLiveFeed(session) {
+    try {
+        const checkins = await loadCheckins(session.feed);
+        if (session !== liveSession) return;
+        
+        const latest = checkins[checkins.length - 1];
+        const previous = liveSummary ? liveSummary.latest : null;
+        if (checkins.length !== (liveSummary ? liveSummary.checkins.length : 0) || (latest && previous && latest.time !== previous.time)) {
+            showCheckins(checkins);
+        } else {
+            // Nothing new, but "last check-in 2 h ago" still moves on
+            renderLiveStatus();
+        }
+    } catch (error) {
+        console.warn('Check-in feed could not be read:', error);
+    }
+    
+    if (session !== liveSession) return;
+    livePollTimer = setTimeout(() => pollLiveFeed(session), session.pollMs);
+}
+
+function stopLiveMode() {
+    clearTimeout(livePollTimer);
+    liveSession = null;
+    liveTrail = null;
+    liveSummary = null;
+    liveLayer = null; // removed from the map with the other trip markers
+    document.getElementById('live-status').hidden = true;
+}
+
+function showCheckins(checkins) {
+    liveSummary = summarizeCheckins(checkins, liveTrail);
+    const { latest, latestOnTrail, next } = liveSummary;
+    console.log(`📡 LIVE: ${checkins.length} check-ins, ${(liveSummary.coveredMeters / METERS_PER_MILE).toFixed(1)} miles so far${next ? `, ${next.name} next` : ''}`);
+    
+    liveLayer.clearLayers();
+    const onTrail = liveSummary.checkins.filter(checkin => checkin.trailMeters !== null);
+    if (onTrail.length > 1) {
+        L.polyline(sliceAtChainage(liveTrail.coords, liveTrail.cumulativeMeters, onTrail[0].trailMeters, latestOnTrail.trailMeters), {
+            color: LIVE_COLOR,
+            weight: 5,
+            opacity: 0.85,
+            className: 'live-route'
+        }).addTo(liveLayer);
+    }
+    liveSummary.checkins.slice(0, -1).forEach(checkin => {
+        L.circleMarker(checkin.snapped, {
+            radius: 4,
+            color: LIVE_COLOR,
+            weight: 2,
+            fillColor: 'white',
+            fillOpacity: 1
+        }).bindTooltip(`${escapeHtml(formatClockTime(checkin.time))}${checkin.note ? `<br>${escapeHtml(checkin.note)}` : ''}`).addTo(liveLayer);
+    });
+    if (latest) {
+        L.marker(latest.snapped, {
+            icon: L.divIcon({
+                className: 'custom-marker live-marker',
+                html: '<i class="fas fa-walking"></i>',
+                iconSize: [30, 30],
+                iconAnchor: [15, 15]
+            }),
+            zIndexOffset: 1000
+        }).bindPopup(() => liveStatusHtml()).addTo(liveLayer);
+    }
+    
+    updateTripStats();
+    renderLiveStatus();
+}
+
+// Latest check-in, trail mile, next waypoint and ETA
+function liveStatusHtml() {
+    const { latest, latestOnTrail, next, milesPerDay, paceMeasured } = liveSummary;
+    const mile = latest === latestOnTrail ? ` at mile ${(latest.trailMeters / METERS_PER_MILE).toFixed(1)}` : ' off the trail';
+    return `
+        <b><span class="live-dot"></span> ${escapeHtml(tripManifest.hiker.name)} is on the trail</b><br>
+        Last check-in ${formatTimeAgo(latest.time)}${mile}
+        ${latest.note ? `<br><em>${escapeHtml(latest.note)}</em>` : ''}
+        ${next ? `<br>Next: ${escapeHtml(next.name)} in ${(next.distanceMeters / METERS_PER_MILE).toFixed(1)} mi · ETA ${escapeHtml(formatClockTime(next.eta))}` : ''}
+        <br><span class="live-pace">${milesPerDay.toFixed(1)} mi/day ${paceMeasured ? 'lately' : '(typical pace until more check-ins arrive)'}</span>
+    `;
+}
+
+function renderLiveStatus() {
+    const status = document.getElementById('live-status');
+    status.hidden = !liveSummary || !liveSummary.latest;
+    if (!status.hidden) status.innerHTML = liveStatusHtml();
+}
+
+// Clicking the status card shows the latest check-in on the map
+function setupLiveStatus() {
+    document.getElementById('live-status').addEventListener('click', () => {
+        if (!liveSummary || !liveSummary.latest) return;
+        map.setView(liveSummary.latest.snapped, Math.max(map.getZoom(), 12));
+        const marker = liveLayer.getLayers().find(layer => layer instanceof L.Marker);
+        if (marker) marker.openPopup();
+    });
+}
+
+function loadSegmentList() {
+    const segmentInfo = document.getElementById('segment-info');
+    navigate({ segment: null, day: null, anim: null, by: null });
+    
+    // Clear existing content
+    segmentInfo.innerHTML = '';
+    
+    if (coloradoTrailSegments.length === 0) {
+        // Show loading message if no segments are loaded yet
+        segmentInfo.innerHTML = `
+            <div class="welcome-message">
+                <h3>${narrativeHtml(tripManifest.narrative.loadingTitle)}</h3>
+                <p>Preparing the trail data and map visualization. This may take a moment.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    // Add welcome message first
+    const welcomeDiv = document.createElement('div');
+    welcomeDiv.className = 'welcome-message';
+    welcomeDiv.innerHTML = `
+        <h3>${narrativeHtml(tripManifest.narrative.welcomeTitle)}</h3>
+        <p>${narrativeHtml(tripManifest.narrative.welcome)}</p>
+        
+        ${tripProgress ? '<div id="trail-progress" class="trail-progress"></div>' : ''}
+        ${renderEncounterHighlights(tripEncounters)}
+    `;
+    segmentInfo.appendChild(welcomeDiv);
+    renderTrailProgress();
+    
+    // Browse by segment, by day (trips with an itinerary) or plan a hike of the route
+    const viewToggle = document.createElement('div');
+    viewToggle.className = 'sidebar-view-toggle';
+    viewToggle.innerHTML = `
+        <button data-view="segments" class="${sidebarView === 'segments' ? 'active' : ''}">
+            <i class="fas fa-route"></i> Segments
+        </button>
+        ${tripItinerary ? `
+            <button data-view="days" class="${sidebarView === 'days' ? 'active' : ''}">
+                <i class="fas fa-calendar-day"></i> Days
+            </button>
+        ` : ''}
+        <button data-view="plan" class="${sidebarView === 'plan' ? 'active' : ''}">
+            <i class="fas fa-clipboard-list"></i> Plan
+        </button>
+    `;
+    viewToggle.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => {
+            sidebarView = button.dataset.view;
+            loadSegmentList();
+        });
+    });
+    segmentInfo.appendChild(viewToggle);
+    
+    if (tripItinerary && sidebarView === 'days') {
+        loadDayList(segmentInfo);
+        return;
+    }
+    if (sidebarView === 'plan') {
+        loadPlanView(segmentInfo);
+        return;
+    }
+    
+    // Create clickable segment list
+    coloradoTrailSegments.forEach((segment, index) => {
+        const segmentCard = document.createElement('div');
+        segmentCard.className = 'segment-card';
+        segmentCard.innerHTML = `
+            <h4><i class="fas fa-map-marker-alt"></i> ${escapeHtml(segment.name)}</h4>
+            <p><strong>${escapeHtml(segment.start_location)}</strong> to <strong>${escapeHtml(segment.finish_location)}</strong></p>
+            <span class="segment-distance">${segment.distance} miles</span>
+            ${estimateChipHtml(segment)}
+        `;
+        
+        segmentCard.addEventListener('click', () => showSegmentDetails(segment, index));
+        segmentInfo.appendChild(segmentCard);
+    });
+    
+    appendExportPanel(segmentInfo, coloradoTrailSegments, 'Download the whole route', 'segments');
+}
+
+function loadDayList(segmentInfo) {
+    tripItinerary.forEach((day, index) => {
+        const date = formatItineraryDate(day.date);
+        const dayCard = document.createElement('div');
+        dayCard.className = `segment-card day-card day-${day.type}`;
+        dayCard.innerHTML = `
+            <h4><i class="fas fa-calendar-day"></i> ${day.name}${date ? ` · ${escapeHtml(date)}` : ''}
+                ${day.type !== 'hike' ? `<span class="day-badge">${formatDayType(day.type)}</span>` : ''}
+            </h4>
+            <p>${day.type === 'zero'
+                ? `Rest day in <strong>${escapeHtml(day.town || day.camp.name)}</strong>`
+                : `<strong>${escapeHtml(day.start_location)}</strong> to <strong>${escapeHtml(day.finish_location)}</strong>`}</p>
+            <span class="segment-distance">${day.distance.toFixed(1)} miles</span>
+            ${day.type === 'zero' ? '' : estimateChipHtml(day)}
+            ${day.town ? `<span class="day-town"><i class="fas fa-city"></i> ${escapeHtml(day.town)}</span>` : ''}
+        `;
+        
+        dayCard.addEventListener('click', () => showDayDetails(day, index));
+        segmentInfo.appendChild(dayCard);
+    });
+    
+    appendExportPanel(segmentInfo, tripItinerary, 'Download the whole route, day by day', 'days');
+}
+
+// Camp-by-camp schedule along the trip's route from a start date and daily mileage target
+function loadPlanView(segmentInfo) {
+    const panel = document.createElement('div');
+    panel.className = 'plan-panel';
+    segmentInfo.appendChild(panel);
+    renderPlan(panel);
+}
+
+// Where a planned day may end: segment ends and the trip's GPX waypoints
+function planPlaces(trip) {
+    const places = [];
+    if (coloradoTrailSegments.length > 0) {
+        places.push({ name: coloradoTrailSegments[0].start_location, trailMeters: 0 });
+    }
+    coloradoTrailSegments.forEach((segment, i) => {
+        const end = i + 1 < trip.segmentStarts.length ? trip.segmentStarts[i + 1] : trip.totalMeters;
+        places.push({ name: segment.finish_location, trailMeters: end });
+    });
+    tripWaypoints.forEach(waypoint => {
+        places.push({ name: waypoint.name, trailMeters: waypoint.tripMeters });
+    });
+    return places;
+}
+
+function renderPlan(panel) {
+    const trip = buildTripGeometry(coloradoTrailSegments);
+    plannedDays = planSchedule(trip, planPlaces(trip), estimatorSettings);
+    const totalMs = plannedDays.reduce((total, day) => total + (day.estimate ? day.estimate.movingMs : 0), 0);
+    const longDays = plannedDays.filter(day => day.long).length;
+    const first = plannedDays[0];
+    const last = plannedDays[plannedDays.length - 1];
+    
+    panel.innerHTML = `
+        <h4><i class="fas fa-clipboard-list"></i> Plan a Hike</h4>
+        <p class="estimate-note">
+            Days of about ${estimatorSettings.milesPerDay} miles along this route, camping at a named place
+            when one is close to the day's target. Hiking times use the ${ESTIMATOR_METHODS[estimatorSettings.method]} rule.
+        </p>
+        ${estimatorSettingsHtml(true)}
+        ${first ? `
+            <p class="plan-summary">
+                <strong>${plannedDays.length} ${plannedDays.length === 1 ? 'day' : 'days'}</strong>,
+                ${escapeHtml(formatItineraryDate(first.date))} to ${escapeHtml(formatItineraryDate(last.date))}
+                · ~${formatDuration(totalMs)} on the move
+                ${longDays > 0 ? `· <span class="plan-long">${longDays} over ${PLAN_LONG_DAY_HOURS} h</span>` : ''}
+            </p>
+            <ol class="plan-days">
+                ${plannedDays.map((day, index) => `
+                    <li class="plan-day ${day.long ? 'plan-day-long' : ''}" data-index="${index}">
+                        <span class="plan-day-date">${day.name} · ${escapeHtml(formatItineraryDate(day.date))}</span>
+                        <span class="plan-day-camp"><i class="fas fa-campground"></i> ${escapeHtml(day.finish_location)}</span>
+                        <span class="plan-day-stats">
+                            ${day.distance.toFixed(1)} mi
+                            ${day.elevation ? `· +${formatElevation(day.elevation.gain)} / −${formatElevation(day.elevation.loss)} ft` : ''}
+                            ${day.estimate ? `· ~${formatDuration(day.estimate.movingMs)}` : ''}
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+        ` : '<p class="estimate-note">This trip has no route to plan along yet.</p>'}
+    `;
+    
+    attachEstimatorSettings(panel, () => renderPlan(panel));
+    panel.querySelectorAll('.plan-day').forEach(row => {
+        row.addEventListener('click', () => {
+            const index = Number(row.dataset.index);
+            const day = plannedDays[index];
+            if (!day.detailLevels) day.detailLevels = buildDetailLevels(day.coordinates);
+            panel.querySelectorAll('.plan-day').forEach(other => other.classList.toggle('active', other === row));
+            highlightSegment(day, index);
+        });
+    });
+}
+
+// Download buttons, one per export format, for a list of segments or days. `scope` ends
+// up in the file name (e.g. "segments", "segment-3").
+function appendExportPanel(container, items, title, scope) {
+    // Nothing to download (e.g. a trip still without segments)
+    if (items.length === 0) return;
+    
+    const panel = document.createElement('div');
+    panel.className = 'export-panel';
+    panel.innerHTML = `
+        <h4><i class="fas fa-download"></i> ${escapeHtml(title)}</h4>
+        <div class="export-buttons">
+            ${EXPORT_FORMATS.map(format => `
+                <button class="export-button" data-format="${format.id}" title="Download as ${format.label}">${format.label}</button>
+            `).join('')}
+        </div>
+    `;
+    panel.querySelectorAll('.export-button').forEach(button => {
+        button.addEventListener('click', () => {
+            const meta = {
+                name: `${tripManifest.hiker.name} on the ${tripManifest.trail.name}`,
+                description: items.length === 1
+                    ? `${items[0].name}: ${items[0].start_location} to ${items[0].finish_location}`
+                    : `${items.length} ${scope}, ${items[0].start_location} to ${items[items.length - 1].finish_location}`,
+                fileBase: `${tripManifest.hiker.name} ${tripManifest.trail.name} ${scope}`
+            };
+            const file = buildExport(button.dataset.format, items, meta);
+            if (!file) return;
+            downloadTextFile(file.text, file.fileName, file.mimeType);
+            console.log(`📤 EXPORTED: ${file.fileName}`);
+        });
+    });
+    container.appendChild(panel);
+}
+
+function downloadTextFile(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Gain/loss/high/low tiles and the interactive profile chart for a segment or day
+function elevationDetailsHtml(profile) {
+    const elevation = profile || {};
+    return `
+        <div class="elevation-summary">
+            <div class="elevation-stat-row">
+                <div class="elevation-stat">
+                    <i class="fas fa-arrow-up text-green"></i>
+                    <span class="elevation-number">${formatElevation(elevation.gain)}</span>
+                    <span class="elevation-label">Elevation Gain (ft)</span>
+                </div>
+                <div class="elevation-stat">
+                    <i class="fas fa-arrow-down text-blue"></i>
+                    <span class="elevation-number">${formatElevation(elevation.loss)}</span>
+                    <span class="elevation-label">Elevation Loss (ft)</span>
+                </div>
+            </div>
+            <div class="elevation-stat-row">
+                <div class="elevation-stat">
+                    <i class="fas fa-mountain text-orange"></i>
+                    <span class="elevation-number">${formatElevation(elevation.maxElevation)}</span>
+                    <span class="elevation-label">Max Elevation (ft)</span>
+                </div>
+                <div class="elevation-stat">
+                    <i class="fas fa-valley text-purple"></i>
+                    <span class="elevation-number">${formatElevation(elevation.minElevation)}</span>
+                    <span class="elevation-label">Min Elevation (ft)</span>
+                </div>
+            </div>
+        </div>
+        
+        <div class="elevation-profile">
+            <h4><i class="fas fa-chart-area"></i> Elevation Profile</h4>
+            ${createElevationChart(profile)}
+        </div>
+    `;
+}
+
+// Moving time, pace per mile, speed by grade and detected stops for a segment or day.
+// Tracks without GPS timestamps have no timing and show nothing here.
+function timingDetailsHtml(timing) {
+    if (!timing) return '';
+    
+    const breaks = timing.stops.filter(stop => stop.type === 'break').length;
+    const camps = timing.stops.length - breaks;
+    const grades = timing.speedByGrade.filter(bucket => bucket.speedMps !== null);
+    const fastest = Math.max(...grades.map(bucket => bucket.speedMps));
+    
+    return `
+        <div class="timing-details">
+            <h4><i class="fas fa-stopwatch"></i> Time on Trail</h4>
+            <p class="timing-range">${escapeHtml(formatClockTime(timing.startTime))} → ${escapeHtml(formatClockTime(timing.endTime))}</p>
+            <div class="elevation-stat-row">
+                <div class="elevation-stat">
+                    <i class="fas fa-hiking text-green"></i>
+                    <span class="elevation-number">${formatDuration(timing.movingMs)}</span>
+                    <span class="elevation-label">Moving</span>
+                </div>
+                <div class="elevation-stat">
+                    <i class="fas fa-pause text-orange"></i>
+                    <span class="elevation-number">${formatDuration(timing.stoppedMs)}</span>
+                    <span class="elevation-label">Stopped</span>
+                </div>
+            </div>
+            <div class="elevation-stat-row">
+                <div class="elevation-stat">
+                    <i class="fas fa-tachometer-alt text-blue"></i>
+                    <span class="elevation-number">${formatSpeedMph(timing.movingSpeedMps)}</span>
+                    <span class="elevation-label">Moving Speed</span>
+                </div>
+                <div class="elevation-stat">
+                    <i class="fas fa-campground text-purple"></i>
+                    <span class="elevation-number">${breaks} · ${camps}</span>
+                    <span class="elevation-label">Breaks · Camps</span>
+                </div>
+            </div>
+            
+            ${grades.length > 0 ? `
+                <h5>Speed by Grade</h5>
+                <div class="timing-grades">
+                    ${grades.map(bucket => `
+                        <div class="timing-grade-row">
+                            <span class="timing-grade-label">${bucket.label}</span>
+                            <span class="timing-grade-bar"><span style="width: ${((bucket.speedMps / fastest) * 100).toFixed(0)}%"></span></span>
+                            <span class="timing-grade-value">${formatSpeedMph(bucket.speedMps)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            
+            <details class="timing-splits">
+                <summary>Pace per mile (${timing.splits.length})</summary>
+                <ol>
+                    ${timing.splits.map(split => `<li>${split.miles < 0.99 ? `Last ${split.miles.toFixed(1)} mi` : `Mile ${split.mile}`} · ${formatPace(split.paceMsPerMile)}</li>`).join('')}
+                </ol>
+            </details>
+            
+            ${timing.stops.length > 0 ? `
+                <ul class="timing-stops">
+                    ${timing.stops.map(stop => `
+                        <li class="timing-stop timing-stop-${stop.type}">
+                            <i class="fas ${stop.type === 'camp' ? 'fa-campground' : 'fa-mug-hot'}"></i>
+                            ${stop.type === 'camp' ? 'Camp' : 'Break'} · ${escapeHtml(formatClockTime(stop.startTime))} · ${formatDuration(stop.durationMs)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Estimated hiking time for a segment or day at the estimator's pace settings (cached
+// until they change), or null when it has no line to walk
+function hikingEstimate(item) {
+    const key = `${estimatorSettings.method}|${estimatorSettings.flatMph}|${estimatorSettings.packPounds}`;
+    const cached = hikingEstimates.get(item);
+    if (cached && cached.key === key) return cached.estimate;
+    
+    const estimate = estimateHikingTime(item.coordinates, item.cumulativeMeters, estimatorSettings);
+    hikingEstimates.set(item, { key: key, estimate: estimate });
+    return estimate;
+}
+
+function estimateChipHtml(item) {
+    const estimate = hikingEstimate(item);
+    if (!estimate) return '';
+    return `<span class="segment-estimate" title="Estimated hiking time (${ESTIMATOR_METHODS[estimatorSettings.method]})">
+        <i class="fas fa-hourglass-half"></i> ~${formatDuration(estimate.movingMs)}
+    </span>`;
+}
+
+function estimateDetailsHtml(estimate, timing) {
+    const miles = estimate.distanceMeters / METERS_PER_MILE;
+    const method = estimatorSettings.method;
+    
+    return `
+        <h4><i class="fas fa-hourglass-half"></i> Estimated Hiking Time</h4>
+        ${estimate.flat ? '<p class="estimate-note">No elevation for this stretch, so both rules assume level trail.</p>' : ''}
+        <div class="elevation-stat-row">
+            <div class="elevation-stat ${method === 'tobler' ? 'estimate-active' : ''}">
+                <i class="fas fa-hiking text-green"></i>
+                <span class="elevation-number">${formatDuration(estimate.toblerMs)}</span>
+                <span class="elevation-label">Tobler</span>
+            </div>
+            <div class="elevation-stat ${method === 'naismith' ? 'estimate-active' : ''}">
+                <i class="fas fa-mountain text-purple"></i>
+                <span class="elevation-number">${formatDuration(estimate.naismithMs)}</span>
+                <span class="elevation-label">Naismith</span>
+            </div>
+        </div>
+        <div class="elevation-stat-row">
+            <div class="elevation-stat">
+                <i class="fas fa-tachometer-alt text-blue"></i>
+                <span class="elevation-number">${formatPace(miles > 0 ? estimate.movingMs / miles : NaN)}</span>
+                <span class="elevation-label">Average Pace</span>
+            </div>
+            <div class="elevation-stat">
+                <i class="fas fa-chart-line text-orange"></i>
+                <span class="elevation-number">${estimate.flat ? '—' : `${Math.round(estimate.steepestGrade * 100)}%`}</span>
+                <span class="elevation-label">Steepest Grade</span>
+            </div>
+        </div>
+        ${timing ? `<p class="estimate-note">Recorded moving time: <strong>${formatDuration(timing.movingMs)}</strong></p>` : ''}
+        ${estimatorSettingsHtml(false)}
+    `;
+}
+
+// Inputs for the pace settings, plus the start date and daily miles in the planner.
+// Changes apply when a field is left, so typing isn't interrupted by a redraw.
+function estimatorSettingsHtml(withPlan) {
+    return `
+        <div class="estimator-settings">
+            ${withPlan ? `
+                <label>Start date
+                    <input type="date" name="startDate" value="${estimatorSettings.startDate || localDateKey(Date.now())}">
+                </label>
+                <label>Miles per day
+                    <input type="number" name="milesPerDay" min="1" max="40" step="0.5" value="${estimatorSettings.milesPerDay}">
+                </label>
+            ` : ''}
+            <label>Flat pace (mph)
+                <input type="number" name="flatMph" min="0.5" max="6" step="0.1" value="${estimatorSettings.flatMph}">
+            </label>
+            <label>Pack (lb)
+                <input type="number" name="packPounds" min="0" max="100" step="1" value="${estimatorSettings.packPounds}">
+            </label>
+            <label>Rule
+                <select name="method">
+                    ${Object.entries(ESTIMATOR_METHODS).map(([id, label]) => `
+                        <option value="${id}" ${estimatorSettings.method === id ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </label>
+        </div>
+    `;
 }
 
-function setupEventListeners() {
-    const animateBtn = document.getElementById('animate-route');
-    const resetBtn = document.getElementById('reset-animation');
-    
-    animateBtn.addEventListener('click', startAnimation);
-    resetBtn.addEventListener('click', resetAnimation);
+function attachEstimatorSettings(container, onChange) {
+    container.querySelectorAll('.estimator-settings [name]').forEach(input => {
+        input.addEventListener('change', () => {
+            estimatorSettings = normalizeEstimatorSettings({ ...estimatorSettings, [input.name]: input.value });
+            saveEstimatorSettings(estimatorSettings);
+            onChange();
+        });
+    });
 }
 
-function loadSegmentList() {
-    const segmentInfo = document.getElementById('segment-info');
-    
-    // Clear existing content
-    segmentInfo.innerHTML = '';
-    
-    if (coloradoTrailSegments.length === 0) {
-        // Show loading message if no segments are loaded yet
-        segmentInfo.innerHTML = `
-            <div class="welcome-message">
-                <h3>Loading Onyx's Adventure...</h3>
-                <p>Preparing the trail data and map visualization. This may take a moment.</p>
-            </div>
-        `;
+function renderEstimateDetails(detailCard, item) {
+    const container = detailCard.querySelector('.estimate-details');
+    const estimate = container ? hikingEstimate(item) : null;
+    if (!estimate) {
+        if (container) container.remove();
         return;
     }
     
-    // Add welcome message first
-    const welcomeDiv = document.createElement('div');
-    welcomeDiv.className = 'welcome-message';
-    welcomeDiv.innerHTML = `
-        <h3>Welcome to Onyx's Adventure!</h3>
-        <p>From Waterton Canyon in Littleton to Boss Lake, Onyx conquered 15 segments of the Colorado Trail including the challenging Collegiate West route. Click the animation button to watch their incredible journey unfold!</p>
-        
-        <div class="adventure-highlights">
-            <h4><i class="fas fa-paw"></i> Wildlife Encounters</h4>
-            <p>4 moose (3 female, 1 male), countless pikas, marmots, bighorn sheep, birds, deer, chipmunks, and squirrels</p>
-            
-            <h4><i class="fas fa-users"></i> Trail Friends</h4>
-            <p>Met amazing people: Flower Girl, Sparrow, David, Chuck, Rich, Enigma, Cheezit, Chordage, Rebecca, Beatnik</p>
-            
-            <h4><i class="fas fa-city"></i> Towns Visited</h4>
-            <p>Littleton, Breckenridge, Copper Mountain, Twin Lakes, Leadville, Salida</p>
+    container.innerHTML = estimateDetailsHtml(estimate, item.timing);
+    attachEstimatorSettings(container, () => renderEstimateDetails(detailCard, item));
+}
+
+// A segment's journal entry, else its route.json notes (both Markdown), else the
+// highlights line
+function segmentJournalHtml(segment) {
+    const markdown = (tripJournal && tripJournal.segments[segment.id]) || segment.notes;
+    if (markdown) return journalEntryHtml(markdown);
+    return `<p class="segment-highlights"><strong>Highlights:</strong> ${segment.highlights}</p>`;
+}
+
+function journalEntryHtml(markdown) {
+    if (!markdown) return '';
+    return `
+        <div class="journal-entry">
+            <h4><i class="fas fa-book-open"></i> Journal</h4>
+            ${renderJournalMarkdown(markdown)}
         </div>
     `;
-    segmentInfo.appendChild(welcomeDiv);
-    
-    // Create clickable segment list
-    coloradoTrailSegments.forEach((segment, index) => {
-        const segmentCard = document.createElement('div');
-        segmentCard.className = 'segment-card';
-        segmentCard.innerHTML = `
-            <h4><i class="fas fa-map-marker-alt"></i> ${segment.name}</h4>
-            <p><strong>${segment.start_location}</strong> to <strong>${segment.finish_location}</strong></p>
-            <span class="segment-distance">${segment.distance} miles</span>
-        `;
+}
+
+// Wire up a rendered entry's photo, place and mile references to the map. Ones that
+// don't resolve stay as plain text.
+function attachJournalReferences(container) {
+    container.querySelectorAll('.journal-entry a[href], .journal-entry img[src]').forEach(element => {
+        const reference = parseJournalReference(element.getAttribute(element.tagName === 'IMG' ? 'src' : 'href'));
+        if (!reference) {
+            if (element.tagName === 'A') {
+                element.target = '_blank';
+                element.rel = 'noopener';
+            }
+            return;
+        }
         
-        segmentCard.addEventListener('click', () => showSegmentDetails(segment, index));
-        segmentInfo.appendChild(segmentCard);
+        const target = resolveJournalReference(reference);
+        if (!target) {
+            console.warn(`Journal reference ${reference.kind}:${reference.value} matches nothing on this trip`);
+            const text = document.createElement('span');
+            text.textContent = element.tagName === 'IMG' ? element.alt : element.textContent;
+            element.replaceWith(text);
+            return;
+        }
+        
+        if (element.tagName === 'IMG') {
+            element.src = target.photo.src;
+            element.classList.add('journal-photo');
+        } else {
+            element.href = '#';
+            element.classList.add('journal-ref');
+        }
+        element.title = 'Show on the map';
+        element.addEventListener('click', (event) => {
+            event.preventDefault();
+            showJournalPlace(target);
+        });
+    });
+}
+
+// Where a reference points: { coords, label, photo? }, or null
+function resolveJournalReference(reference) {
+    if (reference.kind === 'photo') {
+        const photo = findJournalPhoto(tripPhotos, reference.value);
+        return photo ? { coords: photo.coords, label: photo.caption, photo: photo } : null;
+    }
+    if (reference.kind === 'mile') {
+        const mile = Number(reference.value);
+        if (!Number.isFinite(mile)) return null;
+        const trip = buildTripGeometry(coloradoTrailSegments);
+        const meters = Math.max(0, Math.min(trip.totalMeters, mile * METERS_PER_MILE));
+        return { coords: pointAtChainage(trip.coords, trip.cumulativeMeters, meters), label: `Mile ${mile}` };
+    }
+    if (reference.kind === 'place') {
+        const name = reference.value.toLowerCase();
+        const places = [
+            ...coloradoTrailSegments.flatMap(segment => [
+                { name: segment.start_location, coords: segment.startCoords },
+                { name: segment.finish_location, coords: segment.endCoords }
+            ]),
+            ...tripWaypoints,
+            ...(tripItinerary || []).map(day => day.camp),
+            ...tripEncounters.filter(encounter => encounter.coords)
+        ];
+        const place = places.find(candidate => candidate.name.toLowerCase() === name);
+        return place ? { coords: place.coords, label: place.name } : null;
+    }
+    return null;
+}
+
+function showJournalPlace(target) {
+    const latlng = L.latLng(target.coords[0], target.coords[1]);
+    map.setView(latlng, Math.max(map.getZoom(), 13));
+    L.popup({ className: target.photo ? 'photo-popup' : '' })
+        .setLatLng(latlng)
+        .setContent(target.photo
+            ? `<img src="${escapeHtml(target.photo.thumb)}" alt="${escapeHtml(target.label)}">${target.label ? `<p>${escapeHtml(target.label)}</p>` : ''}`
+            : `<b>${escapeHtml(target.label)}</b>`)
+        .openOn(map);
+}
+
+// What was seen and who was met along a segment or day: the counters, then each record
+function encounterListHtml(encounters) {
+    if (encounters.length === 0) return '';
+    return `
+        <div class="encounter-list">
+            <h4><i class="fas fa-binoculars"></i> Encounters</h4>
+            <ul>
+                ${encounters.map(encounter => {
+                    const type = ENCOUNTER_TYPES.find(candidate => candidate.id === encounter.type);
+                    return `
+                        <li class="encounter-${type.id}">
+                            <i class="fas ${type.icon}"></i>
+                            <span>${escapeHtml(capitalize(formatEncounter(encounter)))}${encounter.notes ? ` <em>${escapeHtml(encounter.notes)}</em>` : ''}</span>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// Thumbnail grid for the photos along a segment or day; opens the lightbox on click
+function photoGalleryHtml(photos) {
+    if (photos.length === 0) return '';
+    return `
+        <div class="photo-gallery">
+            <h4><i class="fas fa-camera"></i> Photos (${photos.length})</h4>
+            <div class="photo-grid">
+                ${photos.map(photo => `
+                    <button class="photo-thumb" data-photo="${tripPhotos.indexOf(photo)}" title="${escapeHtml(photo.caption)}">
+                        <img src="${escapeHtml(photo.thumb)}" alt="${escapeHtml(photo.caption)}" loading="lazy">
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function attachPhotoGallery(container, photos) {
+    container.querySelectorAll('.photo-thumb').forEach(button => {
+        button.addEventListener('click', () => {
+            const photo = tripPhotos[Number(button.dataset.photo)];
+            openPhotoLightbox(photos, photos.indexOf(photo));
+        });
+    });
+}
+
+// Full-size photo viewer; arrows step through the list it was opened from
+let lightboxPhotos = [];
+let lightboxIndex = 0;
+
+function setupPhotoLightbox() {
+    const lightbox = document.getElementById('photo-lightbox');
+    lightbox.querySelector('.lightbox-close').addEventListener('click', closePhotoLightbox);
+    lightbox.querySelector('.lightbox-prev').addEventListener('click', () => stepPhotoLightbox(-1));
+    lightbox.querySelector('.lightbox-next').addEventListener('click', () => stepPhotoLightbox(1));
+    // Clicking the backdrop (not the photo) closes it
+    lightbox.addEventListener('click', (event) => {
+        if (event.target === lightbox) closePhotoLightbox();
     });
+    document.addEventListener('keydown', (event) => {
+        if (lightbox.hidden) return;
+        if (event.key === 'Escape') closePhotoLightbox();
+        else if (event.key === 'ArrowLeft') stepPhotoLightbox(-1);
+        else if (event.key === 'ArrowRight') stepPhotoLightbox(1);
+    });
+}
+
+function openPhotoLightbox(photos, index) {
+    lightboxPhotos = photos;
+    lightboxIndex = index;
+    document.getElementById('photo-lightbox').hidden = false;
+    renderPhotoLightbox();
+}
+
+function closePhotoLightbox() {
+    document.getElementById('photo-lightbox').hidden = true;
+}
+
+function stepPhotoLightbox(direction) {
+    lightboxIndex = (lightboxIndex + direction + lightboxPhotos.length) % lightboxPhotos.length;
+    renderPhotoLightbox();
+}
+
+function renderPhotoLightbox() {
+    const lightbox = document.getElementById('photo-lightbox');
+    const photo = lightboxPhotos[lightboxIndex];
+    const image = lightbox.querySelector('.lightbox-image');
+    image.src = photo.src;
+    image.alt = photo.caption;
+    
+    const details = [];
+    if (photo.tripMeters !== null) details.push(`Mile ${(photo.tripMeters / METERS_PER_MILE).toFixed(1)}`);
+    if (photo.time !== null) details.push(formatClockTime(photo.time));
+    details.push(`${lightboxIndex + 1} of ${lightboxPhotos.length}`);
+    lightbox.querySelector('.lightbox-caption').innerHTML = `
+        ${photo.caption ? `<strong>${escapeHtml(photo.caption)}</strong>` : ''}
+        <span>${details.join(' · ')}</span>
+    `;
+    
+    const single = lightboxPhotos.length < 2;
+    lightbox.querySelector('.lightbox-prev').hidden = single;
+    lightbox.querySelector('.lightbox-next').hidden = single;
 }
 
 function showSegmentDetails(segment, index) {
     const segmentInfo = document.getElementById('segment-info');
+    // Opening a segment ends any journey playback
+    if (isAnimating || animationPaused) clearRouteLayers();
+    navigate({ segment: segment.id, day: null, anim: null, by: null });
     
     // Clear previous content
     segmentInfo.innerHTML = '';
     
     // Create detailed segment view
+    const segmentPhotos = tripPhotos.filter(photo => photo.segmentIndex === index);
     const detailCard = document.createElement('div');
     detailCard.className = 'segment-selected';
     
-    const elevationChart = createElevationChart(segment.elevation, segment.distance);
-    
     detailCard.innerHTML = `
-        <h3><i class="fas fa-mountain"></i> ${segment.name}</h3>
+        <h3><i class="fas fa-mountain"></i> ${escapeHtml(segment.name)}</h3>
         <div class="segment-details">
-            <p><strong>Route:</strong> ${segment.start_location} → ${segment.finish_location}</p>
+            <p><strong>Route:</strong> ${escapeHtml(segment.start_location)} → ${escapeHtml(segment.finish_location)}</p>
             <p><strong>Distance:</strong> ${segment.distance} miles</p>
+            ${segmentJournalHtml(segment)}
             
-            <div class="elevation-summary">
-                <div class="elevation-stat-row">
-                    <div class="elevation-stat">
-                        <i class="fas fa-arrow-up text-green"></i>
-                        <span class="elevation-number">${segment.elevation.gain.toLocaleString()}</span>
-                        <span class="elevation-label">Elevation Gain (ft)</span>
-                    </div>
-                    <div class="elevation-stat">
-                        <i class="fas fa-arrow-down text-blue"></i>
-                        <span class="elevation-number">${segment.elevation.loss.toLocaleString()}</span>
-                        <span class="elevation-label">Elevation Loss (ft)</span>
-                    </div>
-                </div>
-                <div class="elevation-stat-row">
-                    <div class="elevation-stat">
-                        <i class="fas fa-mountain text-orange"></i>
-                        <span class="elevation-number">${segment.elevation.maxElevation.toLocaleString()}</span>
-                        <span class="elevation-label">Max Elevation (ft)</span>
-                    </div>
-                    <div class="elevation-stat">
-                        <i class="fas fa-valley text-purple"></i>
-                        <span class="elevation-number">${segment.elevation.minElevation.toLocaleString()}</span>
-                        <span class="elevation-label">Min Elevation (ft)</span>
-                    </div>
-                </div>
-            </div>
-            
-            <p class="segment-highlights"><strong>Highlights:</strong> ${segment.highlights}</p>
+            ${elevationDetailsHtml(segment.elevation)}
+            ${timingDetailsHtml(segment.timing)}
+            <div class="timing-details estimate-details"></div>
+            ${waypointChipsHtml(index)}
+            ${encounterListHtml(tripEncounters.filter(encounter => encounter.segmentIndex === index))}
+            ${photoGalleryHtml(segmentPhotos)}
         </div>
         <button class="btn-secondary" onclick="loadSegmentList()">
             <i class="fas fa-arrow-left"></i> Back to All Segments
         </button>
     `;
     
+    appendExportPanel(detailCard.querySelector('.segment-details'), [segment], 'Download this segment', `segment ${segment.id}`);
+    attachPhotoGallery(detailCard, segmentPhotos);
+    attachWaypointChips(detailCard);
+    attachJournalReferences(detailCard);
+    renderEstimateDetails(detailCard, segment);
     segmentInfo.appendChild(detailCard);
+    attachElevationChartHover(
+        detailCard.querySelector('.elevation-chart'),
+        segment.elevation,
+        (pointIndex) => showElevationHoverMarker(segment, pointIndex),
+        hideElevationHoverMarker
+    );
     
     // Highlight segment on map
     highlightSegment(segment, index);
 }
 
-function createElevationChart(elevation, distance) {
-    const { minElevation, maxElevation, gain, loss } = elevation;
-    const elevationRange = maxElevation - minElevation;
+function showDayDetails(day, index) {
+    const segmentInfo = document.getElementById('segment-info');
+    // Opening a day ends any journey playback
+    if (isAnimating || animationPaused) clearRouteLayers();
+    navigate({ segment: null, day: day.id, anim: null, by: null });
+    sidebarView = 'days';
     
-    // Create a simplified elevation profile visualization
-    const chartHeight = 120;
-    const chartWidth = 280;
+    segmentInfo.innerHTML = '';
     
-    // Simplified profile: start low, go up to max, then down to end
-    const points = [];
-    const numPoints = 20;
+    const date = formatItineraryDate(day.date);
+    const dayPhotos = photosBetween(tripPhotos, day.startMile * METERS_PER_MILE, day.endMile * METERS_PER_MILE);
+    const detailCard = document.createElement('div');
+    detailCard.className = 'segment-selected';
+    detailCard.innerHTML = `
+        <h3><i class="fas fa-calendar-day"></i> ${day.name}${date ? ` · ${escapeHtml(date)}` : ''}</h3>
+        <div class="segment-details">
+            <p><strong>${formatDayType(day.type)}</strong>${day.segmentIds.length > 0 ? ` · ${formatSegmentRange(day.segmentIds)}` : ''}</p>
+            ${day.type === 'zero' ? '' : `
+                <p><strong>Route:</strong> ${escapeHtml(day.start_location)} → ${escapeHtml(day.finish_location)}</p>
+                <p><strong>Distance:</strong> ${day.distance.toFixed(1)} miles (trip miles ${day.startMile.toFixed(1)}–${day.endMile.toFixed(1)})</p>
+            `}
+            <p><strong>Camp:</strong> ${escapeHtml(day.camp.name)}</p>
+            ${day.town ? `<p><strong>Town stop:</strong> ${escapeHtml(day.town)}</p>` : ''}
+            ${journalEntryHtml((tripJournal && tripJournal.days[day.id]) || day.notes)}
+            
+            ${day.type === 'zero' ? '' : elevationDetailsHtml(day.elevation)}
+            ${day.type === 'zero' ? '' : timingDetailsHtml(day.timing)}
+            ${day.type === 'zero' ? '' : '<div class="timing-details estimate-details"></div>'}
+            ${encounterListHtml(tripEncounters.filter(encounter => encounter.dayIndex === index))}
+            ${photoGalleryHtml(dayPhotos)}
+        </div>
+        <button class="btn-secondary" onclick="loadSegmentList()">
+            <i class="fas fa-arrow-left"></i> Back to All Days
+        </button>
+    `;
     
-    for (let i = 0; i <= numPoints; i++) {
-        const progress = i / numPoints;
-        let elevationAtPoint;
-        
-        if (progress < 0.6) {
-            // Rising section
-            elevationAtPoint = minElevation + (maxElevation - minElevation) * (progress / 0.6);
-        } else {
-            // Descending section  
-            elevationAtPoint = maxElevation - (maxElevation - minElevation) * ((progress - 0.6) / 0.4) * 0.7;
-        }
-        
-        const x = (progress * chartWidth);
-        const y = chartHeight - ((elevationAtPoint - minElevation) / elevationRange) * chartHeight;
-        
-        points.push(`${x},${y}`);
+    if (day.type !== 'zero') {
+        appendExportPanel(detailCard.querySelector('.segment-details'), [day], 'Download this day', `day ${day.id}`);
     }
+    attachPhotoGallery(detailCard, dayPhotos);
+    attachJournalReferences(detailCard);
+    renderEstimateDetails(detailCard, day);
+    segmentInfo.appendChild(detailCard);
+    attachElevationChartHover(
+        detailCard.querySelector('.elevation-chart'),
+        day.elevation,
+        (pointIndex) => showElevationHoverMarker(day, pointIndex),
+        hideElevationHoverMarker
+    );
     
-    const pathData = `M ${points.join(' L ')}`;
-    
-    return `
-        <div class="elevation-chart">
-            <svg width="${chartWidth}" height="${chartHeight + 40}" viewBox="0 0 ${chartWidth} ${chartHeight + 40}">
-                <!-- Background -->
-                <rect width="${chartWidth}" height="${chartHeight}" fill="#f8f9fa" stroke="#ddd" stroke-width="1"/>
-                
-                <!-- Grid lines -->
-                <line x1="0" y1="${chartHeight/3}" x2="${chartWidth}" y2="${chartHeight/3}" stroke="#eee" stroke-width="1"/>
-                <line x1="0" y1="${2*chartHeight/3}" x2="${chartWidth}" y2="${2*chartHeight/3}" stroke="#eee" stroke-width="1"/>
-                <line x1="${chartWidth/3}" y1="0" x2="${chartWidth/3}" y2="${chartHeight}" stroke="#eee" stroke-width="1"/>
-                <line x1="${2*chartWidth/3}" y1="0" x2="${2*chartWidth/3}" y2="${chartHeight}" stroke="#eee" stroke-width="1"/>
-                
-                <!-- Elevation area -->
-                <path d="${pathData} L ${chartWidth},${chartHeight} L 0,${chartHeight} Z" fill="rgba(76, 175, 80, 0.2)" stroke="none"/>
-                
-                <!-- Elevation line -->
-                <path d="${pathData}" fill="none" stroke="#4CAF50" stroke-width="3"/>
-                
-                <!-- Labels -->
-                <text x="5" y="15" font-size="11" fill="#666">${maxElevation.toLocaleString()}ft</text>
-                <text x="5" y="${chartHeight - 5}" font-size="11" fill="#666">${minElevation.toLocaleString()}ft</text>
-                <text x="5" y="${chartHeight + 20}" font-size="11" fill="#666">0 mi</text>
-                <text x="${chartWidth - 30}" y="${chartHeight + 20}" font-size="11" fill="#666">${distance} mi</text>
-            </svg>
-        </div>
-    `;
+    if (day.type === 'zero') {
+        routeLines.forEach(line => map.removeLayer(line));
+        routeLines = [];
+        segmentMarkers.forEach(marker => map.removeLayer(marker));
+        segmentMarkers = [];
+        map.setView(day.camp.coords, Math.max(map.getZoom(), 12));
+    } else {
+        highlightSegment(day, index);
+    }
 }
 
 function highlightSegment(segment, index) {
     // Clear previous highlights
     routeLines.forEach(line => map.removeLayer(line));
     routeLines = [];
+    segmentMarkers.forEach(marker => map.removeLayer(marker));
+    segmentMarkers = [];
+    hideElevationHoverMarker();
     
     // Add highlighted route line
-    const routeLine = L.polyline(segment.coordinates, {
+    const routeLine = createDetailPolyline(segment.detailLevels, map.getZoom(), {
         color: '#4CAF50',
         weight: 6,
         opacity: 0.8,
@@ -912,6 +2432,22 @@ function highlightSegment(segment, index) {
     
     routeLines.push(routeLine);
     
+    // Hovering the route moves the elevation chart cursor to the same spot
+    if (segment.elevation) {
+        routeLine.on('mousemove', (e) => {
+            const projection = getSpatialIndex(segment.coordinates).nearestOnLine([e.latlng.lat, e.latlng.lng]);
+            const pointIndex = nearestVertexOfProjection(projection);
+            const chartElement = document.querySelector('.segment-selected .elevation-chart');
+            if (chartElement) showElevationCursor(chartElement, segment.elevation, pointIndex);
+            showElevationHoverMarker(segment, pointIndex);
+        });
+        routeLine.on('mouseout', () => {
+            const chartElement = document.querySelector('.segment-selected .elevation-chart');
+            if (chartElement) hideElevationCursor(chartElement);
+            hideElevationHoverMarker();
+        });
+    }
+    
     // Fit map to segment bounds
     map.fitBounds(routeLine.getBounds(), { padding: [20, 20] });
     
@@ -934,95 +2470,421 @@ function highlightSegment(segment, index) {
         })
     }).addTo(map);
     
-    startMarker.bindPopup(`<b>Start of ${segment.name}</b><br>${segment.start_location}`);
-    endMarker.bindPopup(`<b>End of ${segment.name}</b><br>${segment.finish_location}`);
+    startMarker.bindPopup(`<b>Start of ${escapeHtml(segment.name)}</b><br>${escapeHtml(segment.start_location)}`);
+    endMarker.bindPopup(`<b>End of ${escapeHtml(segment.name)}</b><br>${escapeHtml(segment.finish_location)}`);
     
     segmentMarkers.push(startMarker, endMarker);
+    
+    // Breaks and camps found in the GPS timestamps
+    if (segment.timing) {
+        segment.timing.stops.forEach(stop => {
+            const stopMarker = L.marker(stop.coords, {
+                icon: L.divIcon({
+                    className: `custom-marker stop-marker stop-${stop.type}`,
+                    html: `<i class="fas ${stop.type === 'camp' ? 'fa-campground' : 'fa-mug-hot'}"></i>`,
+                    iconSize: [22, 22],
+                    iconAnchor: [11, 11]
+                })
+            }).addTo(map);
+            stopMarker.bindPopup(`<b>${stop.type === 'camp' ? 'Camp' : 'Break'}</b><br>${escapeHtml(formatClockTime(stop.startTime))} · ${formatDuration(stop.durationMs)}`);
+            segmentMarkers.push(stopMarker);
+        });
+    }
+}
+
+function showElevationHoverMarker(segment, pointIndex) {
+    const latlng = segment.coordinates[pointIndex];
+    if (!latlng) return;
+    
+    if (!elevationHoverMarker) {
+        elevationHoverMarker = L.circleMarker(latlng, {
+            radius: 7,
+            color: 'white',
+            weight: 2,
+            fillColor: '#333',
+            fillOpacity: 1,
+            interactive: false
+        });
+    }
+    elevationHoverMarker.setLatLng(latlng);
+    if (!map.hasLayer(elevationHoverMarker)) elevationHoverMarker.addTo(map);
+}
+
+function hideElevationHoverMarker() {
+    if (elevationHoverMarker && map.hasLayer(elevationHoverMarker)) {
+        map.removeLayer(elevationHoverMarker);
+    }
+}
+
+// What the player steps through: route segments, or itinerary days
+function playbackItems() {
+    return playbackMode === 'days' && tripItinerary ? tripItinerary : coloradoTrailSegments;
+}
+
+function createPlaybackTimeline() {
+    return buildPlaybackTimeline(playbackItems(), { realTime: playbackRealTime });
 }
 
+// The animate button: start the journey, or pause and resume it
 function startAnimation() {
-    if (isAnimating || coloradoTrailSegments.length === 0) return;
+    if (isOverviewMode || coloradoTrailSegments.length === 0) return;
     
-    isAnimating = true;
-    currentSegmentIndex = 0;
+    if (isAnimating) {
+        pausePlayback();
+        return;
+    }
     
-    // Clear any existing route lines
-    routeLines.forEach(line => map.removeLayer(line));
-    routeLines = [];
+    // Continue a paused journey (or one restored from a link) instead of starting over
+    if (animationPaused) {
+        resumePlayback();
+        return;
+    }
     
-    // Clear segment markers
-    segmentMarkers.forEach(marker => map.removeLayer(marker));
-    segmentMarkers = [];
+    clearRouteLayers();
+    playbackTimeline = createPlaybackTimeline();
     
     // Reset map view to show the full trail
-    if (coloradoTrailSegments.length > 0) {
-        const bounds = L.latLngBounds([
-            coloradoTrailSegments[0].startCoords,
-            coloradoTrailSegments[coloradoTrailSegments.length - 1].endCoords
-        ]);
-        map.fitBounds(bounds, { padding: [50, 50] });
+    const bounds = L.latLngBounds([
+        coloradoTrailSegments[0].startCoords,
+        coloradoTrailSegments[coloradoTrailSegments.length - 1].endCoords
+    ]);
+    map.fitBounds(bounds, { padding: [50, 50] });
+    
+    resumePlayback();
+}
+
+function resumePlayback() {
+    isAnimating = true;
+    animationPaused = false;
+    lastFrameTimestamp = null;
+    removeCompletionMessage();
+    playbackFrame = requestAnimationFrame(playbackTick);
+    updatePlaybackButtons();
+}
+
+function pausePlayback() {
+    isAnimating = false;
+    animationPaused = true;
+    cancelAnimationFrame(playbackFrame);
+    updatePlaybackButtons();
+    rememberMapView();
+}
+
+// Advance the playhead by the real time since the last frame, scaled by the speed
+function playbackTick(timestamp) {
+    if (lastFrameTimestamp !== null) {
+        playbackTimeMs += (timestamp - lastFrameTimestamp) * playbackSpeed;
     }
+    lastFrameTimestamp = timestamp;
     
-    // Update button states
-    document.getElementById('animate-route').innerHTML = '<i class="fas fa-spinner fa-spin"></i> Animating...';
-    document.getElementById('animate-route').disabled = true;
+    if (playbackTimeMs >= playbackTimeline.totalMs) {
+        finishPlayback();
+        return;
+    }
     
-    // Start the animation
-    animateNextSegment();
+    renderPlaybackFrame();
+    playbackFrame = requestAnimationFrame(playbackTick);
 }
 
-function animateNextSegment() {
-    if (currentSegmentIndex >= coloradoTrailSegments.length) {
-        // Animation complete
-        isAnimating = false;
-        document.getElementById('animate-route').innerHTML = '<i class="fas fa-play"></i> Watch Onyx\'s Journey';
-        document.getElementById('animate-route').disabled = false;
-        
-        // Show completion message
-        showCompletionMessage();
+function finishPlayback() {
+    playbackTimeMs = playbackTimeline.totalMs;
+    renderPlaybackFrame();
+    isAnimating = false;
+    animationPaused = false;
+    updatePlaybackButtons();
+    rememberMapView();
+    showCompletionMessage();
+}
+
+// Move the playhead anywhere on the timeline, playing or paused
+function seekPlayback(timeMs) {
+    if (isOverviewMode || playbackItems().length === 0) return;
+    
+    if (!playbackTimeline) {
+        clearRouteLayers();
+        playbackTimeline = createPlaybackTimeline();
+    }
+    playbackTimeMs = Math.max(0, Math.min(playbackTimeline.totalMs, timeMs));
+    lastFrameTimestamp = null;
+    lastPlaybackTripMeters = null;
+    
+    if (!isAnimating) {
+        animationPaused = true;
+        updatePlaybackButtons();
+    }
+    removeCompletionMessage();
+    renderPlaybackFrame();
+}
+
+// Step to the start of the next or previous segment. Stepping back early in a
+// segment goes to the one before, like a music player's previous-track button.
+function stepPlayback(direction) {
+    if (!playbackTimeline) {
+        jumpToSegment(0);
+        return;
+    }
+    const { segmentIndex, progress } = locatePlaybackTime(playbackTimeline, playbackTimeMs);
+    let target = segmentIndex + direction;
+    if (direction < 0 && progress > 0.1) target = segmentIndex;
+    if (target >= playbackItems().length) {
+        seekPlayback(playbackTimeline.totalMs);
         return;
     }
+    jumpToSegment(Math.max(0, target));
+}
+
+function jumpToSegment(segmentIndex) {
+    if (!playbackTimeline) {
+        clearRouteLayers();
+        playbackTimeline = createPlaybackTimeline();
+    }
+    seekPlayback(playbackSegmentStart(playbackTimeline, segmentIndex));
+    const segment = playbackItems()[segmentIndex];
+    map.fitBounds(L.latLngBounds(segment.coordinates), { padding: [50, 50], maxZoom: 14 });
+}
+
+// Draw the journey as it stands at the playhead: finished segments in full and the
+// current one up to the hiker. Scrubbing back removes lines beyond the playhead.
+function renderPlaybackFrame() {
+    const { segmentIndex, progress, chainageMeters, clockTime } = locatePlaybackTime(playbackTimeline, playbackTimeMs);
+    const segment = playbackItems()[segmentIndex];
+    const zoom = map.getZoom();
+    
+    while (routeLines.length > segmentIndex + 1) {
+        map.removeLayer(routeLines.pop());
+    }
+    while (routeLines.length <= segmentIndex) {
+        const i = routeLines.length;
+        const polyline = createDetailPolyline(playbackItems()[i].detailLevels, zoom, {
+            color: getSegmentColor(i),
+            weight: 4,
+            opacity: 0.8,
+            className: 'route-segment'
+        }).addTo(map);
+        routeLines.push(polyline);
+    }
     
-    const segment = coloradoTrailSegments[currentSegmentIndex];
+    // The hiker's spot on the full-resolution track; the current line ends there
+    const hikerPoint = pointAtChainage(segment.coordinates, segment.cumulativeMeters, chainageMeters);
+    const cut = progress < 1
+        ? { index: vertexIndexAtChainage(segment.cumulativeMeters, chainageMeters), point: hikerPoint }
+        : null;
+    routeLines.forEach((line, i) => setDetailPolylineCut(line, i < segmentIndex ? null : cut, zoom));
     
-    // Create animated polyline
-    const polyline = L.polyline(segment.coordinates, {
-        color: getSegmentColor(currentSegmentIndex),
-        weight: 4,
-        opacity: 0.8,
-        className: 'route-segment'
+    showHikerMarker(hikerPoint);
+    if (followHiker) {
+        map.panTo(hikerPoint, { animate: false });
+    }
+    
+    if (segmentIndex !== currentSegmentIndex || !document.getElementById('current-segment-display')) {
+        currentSegmentIndex = segmentIndex;
+        updateCurrentSegmentDisplay(segment);
+        navigate({ segment: null, day: null, anim: segment.id, by: playbackMode === 'days' ? 'days' : null },
+            { replace: currentRoute.anim !== null });
+    }
+    
+    const fill = document.querySelector('#current-segment-display .progress-fill');
+    if (fill) fill.style.width = `${(progress * 100).toFixed(1)}%`;
+    updateHikerReadout(segment, playbackTimeline.entries[segmentIndex], chainageMeters, clockTime);
+    updatePlaybackPosition();
+    
+    const itemStartMeters = playbackMode === 'days'
+        ? segment.startMile * METERS_PER_MILE
+        : playbackTimeline.entries[segmentIndex].startMeters;
+    showPassedPhoto(itemStartMeters + chainageMeters);
+}
+
+// Pop up the latest photo the hiker walked past since the last frame
+function showPassedPhoto(tripMeters) {
+    const previous = lastPlaybackTripMeters;
+    lastPlaybackTripMeters = tripMeters;
+    if (!isAnimating || previous === null || tripMeters <= previous) return;
+    if (tripMeters - previous > PHOTO_POPUP_MAX_STEP_METERS) return;
+    
+    const passed = tripPhotos.filter(photo => photo.tripMeters !== null && photo.tripMeters > previous && photo.tripMeters <= tripMeters);
+    if (passed.length === 0) return;
+    
+    const photo = passed[passed.length - 1];
+    closePhotoPopup();
+    photoPopup = L.popup({ className: 'photo-popup', closeButton: false, autoPan: false, offset: [0, -12] })
+        .setLatLng(photo.coords)
+        .setContent(`
+            <img src="${escapeHtml(photo.thumb)}" alt="${escapeHtml(photo.caption)}">
+            ${photo.caption ? `<p>${escapeHtml(photo.caption)}</p>` : ''}
+        `)
+        .openOn(map);
+    photoPopupTimer = setTimeout(closePhotoPopup, PHOTO_POPUP_MS);
+}
+
+function closePhotoPopup() {
+    clearTimeout(photoPopupTimer);
+    if (photoPopup) {
+        map.closePopup(photoPopup);
+        photoPopup = null;
+    }
+}
+
+function showHikerMarker(latlng) {
+    if (!hikerMarker) {
+        hikerMarker = L.marker(latlng, {
+            icon: L.divIcon({
+                className: 'hiker-marker',
+                html: '<i class="fas fa-hiking"></i>',
+                iconSize: [32, 32],
+                iconAnchor: [16, 16]
+            }),
+            interactive: false,
+            zIndexOffset: 1000
+        });
+    }
+    hikerMarker.setLatLng(latlng);
+    if (!map.hasLayer(hikerMarker)) hikerMarker.addTo(map);
+}
+
+function hideHikerMarker() {
+    if (hikerMarker && map.hasLayer(hikerMarker)) {
+        map.removeLayer(hikerMarker);
+    }
+}
+
+// Live mile, elevation and segment progress in the current segment card, plus the
+// GPS clock when playing in real time
+function updateHikerReadout(segment, entry, chainageMeters, clockTime) {
+    const readout = document.querySelector('#current-segment-display .hiker-readout');
+    if (!readout) return;
+    
+    const tripMiles = (entry.startMeters + chainageMeters) / METERS_PER_MILE;
+    const segmentMiles = chainageMeters / METERS_PER_MILE;
+    const parts = [
+        `Mile ${tripMiles.toFixed(1)}`,
+        `${segmentMiles.toFixed(1)} of ${(entry.lengthMeters / METERS_PER_MILE).toFixed(1)} mi ${playbackMode === 'days' ? 'today' : 'in segment'}`
+    ];
+    if (segment.elevation) {
+        const index = findProfileIndexAtDistance(segment.elevation, segmentMiles);
+        parts.push(`${formatElevation(Math.round(segment.elevation.elevations[index]))} ft`);
+    }
+    if (clockTime !== null) {
+        parts.push(formatClockTime(clockTime));
+    }
+    readout.textContent = parts.join(' · ');
+}
+
+// Show the journey as it stood when a segment (or day) was being hiked, paused there
+function showAnimationAt(segmentIndex, mode = 'segments') {
+    clearRouteLayers();
+    loadSegmentList();
+    setPlaybackMode(mode);
+    
+    playbackTimeline = createPlaybackTimeline();
+    seekPlayback(playbackSegmentEnd(playbackTimeline, segmentIndex));
+    map.fitBounds(L.latLngBounds(playbackItems()[segmentIndex].coordinates), { padding: [50, 50], maxZoom: 14 });
+}
+
+function setupPlaybackControls() {
+    document.getElementById('playback-toggle').addEventListener('click', startAnimation);
+    document.getElementById('playback-back').addEventListener('click', () => stepPlayback(-1));
+    document.getElementById('playback-forward').addEventListener('click', () => stepPlayback(1));
+    
+    const scrubber = document.getElementById('playback-scrubber');
+    scrubber.addEventListener('input', () => {
+        const timeline = playbackTimeline || createPlaybackTimeline();
+        seekPlayback((scrubber.value / scrubber.max) * timeline.totalMs);
     });
     
-    // Add to map and store reference
-    polyline.addTo(map);
-    routeLines.push(polyline);
+    const followToggle = document.getElementById('playback-follow');
+    followToggle.checked = followHiker;
+    followToggle.addEventListener('change', () => {
+        followHiker = followToggle.checked;
+    });
+    
+    const modePicker = document.getElementById('playback-mode');
+    modePicker.addEventListener('change', () => {
+        clearRouteLayers();
+        setPlaybackMode(modePicker.value);
+    });
+    
+    const realTimeToggle = document.getElementById('playback-realtime');
+    realTimeToggle.checked = playbackRealTime;
+    realTimeToggle.addEventListener('change', () => {
+        playbackRealTime = realTimeToggle.checked;
+        clearRouteLayers();
+        resetPlaybackControls();
+    });
+    
+    const speedPicker = document.getElementById('playback-speed');
+    speedPicker.innerHTML = PLAYBACK_SPEEDS
+        .map(speed => `<option value="${speed}">${formatPlaybackSpeed(speed)}</option>`)
+        .join('');
+    speedPicker.value = String(playbackSpeed);
+    speedPicker.addEventListener('change', () => {
+        playbackSpeed = Number(speedPicker.value);
+    });
     
-    // Animate the drawing of this segment
-    animatePolyline(polyline, segment, () => {
-        currentSegmentIndex++;
-        // Wait a bit before next segment
-        animationTimeout = setTimeout(animateNextSegment, 800);
+    const jumpPicker = document.getElementById('playback-jump');
+    jumpPicker.addEventListener('change', () => {
+        if (jumpPicker.value !== '') jumpToSegment(Number(jumpPicker.value));
     });
 }
 
-function animatePolyline(polyline, segment, callback) {
-    const pathElement = polyline.getElement();
-    if (pathElement) {
-        const pathLength = pathElement.getTotalLength();
-        pathElement.style.strokeDasharray = pathLength + ' ' + pathLength;
-        pathElement.style.strokeDashoffset = pathLength;
-        
-        // Trigger animation
-        pathElement.getBoundingClientRect();
-        pathElement.style.transition = 'stroke-dashoffset 2s ease-in-out';
-        pathElement.style.strokeDashoffset = '0';
-    }
+function setPlaybackMode(mode) {
+    playbackMode = mode === 'days' && tripItinerary ? 'days' : 'segments';
+    resetPlaybackControls();
+}
+
+// Fill the jump-to list for the active trip and show the controls when there is a journey
+function resetPlaybackControls() {
+    const controls = document.getElementById('playback-controls');
+    controls.hidden = isOverviewMode || coloradoTrailSegments.length === 0;
+    
+    const modePicker = document.getElementById('playback-mode');
+    modePicker.hidden = !tripItinerary;
+    modePicker.value = playbackMode;
+    
+    // Real-time replay needs timestamps on everything being played
+    const realTimeAvailable = canPlayInRealTime(playbackItems());
+    document.getElementById('playback-realtime-option').hidden = !realTimeAvailable;
+    document.getElementById('playback-realtime').checked = playbackRealTime && realTimeAvailable;
+    
+    const jumpLabel = playbackMode === 'days' ? 'Jump to day…' : 'Jump to segment…';
+    document.getElementById('playback-jump').innerHTML = `<option value="">${jumpLabel}</option>` +
+        playbackItems()
+            .map((segment, index) => `<option value="${index}">${escapeHtml(segment.name)}</option>`)
+            .join('');
+    updatePlaybackButtons();
+    updatePlaybackPosition();
+}
+
+function updatePlaybackButtons() {
+    const toggle = document.getElementById('playback-toggle');
+    toggle.innerHTML = isAnimating ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+    toggle.title = isAnimating ? 'Pause' : 'Play';
     
-    // Update sidebar to show current segment
-    updateCurrentSegmentDisplay(segment);
+    const animateBtn = document.getElementById('animate-route');
+    if (isAnimating) {
+        animateBtn.innerHTML = '<i class="fas fa-pause"></i> Pause Journey';
+    } else if (animationPaused) {
+        animateBtn.innerHTML = '<i class="fas fa-play"></i> Continue Journey';
+    } else if (tripManifest) {
+        resetAnimateButton();
+    }
+}
+
+// Keep the scrubber and position label in step with the playhead
+function updatePlaybackPosition() {
+    const scrubber = document.getElementById('playback-scrubber');
+    const label = document.getElementById('playback-position');
+    const jumpPicker = document.getElementById('playback-jump');
+    
+    if (!playbackTimeline) {
+        scrubber.value = 0;
+        label.textContent = `0 / ${playbackItems().length}`;
+        jumpPicker.value = '';
+        return;
+    }
     
-    // Call callback after animation
-    setTimeout(callback, 2000);
+    scrubber.value = Math.round((playbackTimeMs / playbackTimeline.totalMs) * scrubber.max);
+    label.textContent = `${currentSegmentIndex + 1} / ${playbackItems().length}`;
+    jumpPicker.value = String(currentSegmentIndex);
 }
 
 function updateCurrentSegmentDisplay(segment) {
@@ -1039,19 +2901,30 @@ function updateCurrentSegmentDisplay(segment) {
     
     currentDisplay.innerHTML = `
         <div class="current-segment-card">
-            <h4><i class="fas fa-hiking"></i> Currently Hiking</h4>
-            <h3>${segment.name}</h3>
-            <p>${segment.start_location} → ${segment.finish_location}</p>
+            <h4><i class="fas fa-hiking"></i> ${segment.type === 'zero' ? 'Resting' : 'Currently Hiking'}</h4>
+            <h3>${escapeHtml(segment.name)}</h3>
+            <p>${segment.type === 'zero'
+                ? `Zero day in ${escapeHtml(segment.town || segment.camp.name)}`
+                : `${escapeHtml(segment.start_location)} → ${escapeHtml(segment.finish_location)}`}</p>
             <div class="segment-progress">
                 <span class="distance">${segment.distance} miles</span>
                 <div class="progress-bar">
                     <div class="progress-fill"></div>
                 </div>
             </div>
+            <p class="hiker-readout"></p>
         </div>
     `;
 }
 
+// Manifest narrative text as HTML, with any stat placeholders already filled in
+function narrativeHtml(template) {
+    const container = document.createElement('div');
+    container.innerHTML = renderNarrative(template, tripManifest);
+    if (tripStats) renderTripStats(tripStats, container);
+    return container.innerHTML;
+}
+
 function getSegmentColor(index) {
     const colors = [
         '#4CAF50', '#2196F3', '#FF9800', '#9C27B0', '#F44336',
@@ -1061,14 +2934,20 @@ function getSegmentColor(index) {
     return colors[index % colors.length];
 }
 
-function resetAnimation() {
-    // Clear animation
+function resetAnimateButton() {
+    const animateBtn = document.getElementById('animate-route');
+    animateBtn.innerHTML = `<i class="fas fa-play"></i> ${narrativeHtml(tripManifest.narrative.animateButton)}`;
+    animateBtn.disabled = false;
+}
+
+// Stop any running animation and clear route lines and segment markers
+function clearRouteLayers() {
     isAnimating = false;
-    currentSegmentIndex = 0;
-    
-    if (animationTimeout) {
-        clearTimeout(animationTimeout);
-    }
+    animationPaused = false;
+    currentSegmentIndex = -1;
+    cancelAnimationFrame(playbackFrame);
+    playbackTimeline = null;
+    playbackTimeMs = 0;
     
     // Clear route lines
     routeLines.forEach(line => map.removeLayer(line));
@@ -1078,9 +2957,27 @@ function resetAnimation() {
     segmentMarkers.forEach(marker => map.removeLayer(marker));
     segmentMarkers = [];
     
+    hideElevationHoverMarker();
+    hideHikerMarker();
+    closePhotoPopup();
+    lastPlaybackTripMeters = null;
+    updatePlaybackButtons();
+    updatePlaybackPosition();
+}
+
+function resetAnimation() {
+    if (!tripManifest) return;
+    
+    if (isOverviewMode) {
+        showOverview();
+        return;
+    }
+    
+    // Clear animation
+    clearRouteLayers();
+    
     // Reset button states
-    document.getElementById('animate-route').innerHTML = '<i class="fas fa-play"></i> Watch Onyx\'s Journey';
-    document.getElementById('animate-route').disabled = false;
+    resetAnimateButton();
     
     // Reset map view to show full trail if segments are loaded
     if (coloradoTrailSegments.length > 0) {
@@ -1090,7 +2987,7 @@ function resetAnimation() {
         ]);
         map.fitBounds(bounds, { padding: [50, 50] });
     } else {
-        map.setView([38.9, -105.9], 9);
+        map.setView(tripManifest.map.center, tripManifest.map.zoom);
     }
     
     // Clear current segment display
@@ -1103,6 +3000,11 @@ function resetAnimation() {
     loadSegmentList();
 }
 
+function removeCompletionMessage() {
+    const completionCard = document.querySelector('.completion-celebration');
+    if (completionCard) completionCard.remove();
+}
+
 function showCompletionMessage() {
     const segmentInfo = document.getElementById('segment-info');
     
@@ -1110,16 +3012,16 @@ function showCompletionMessage() {
     completionCard.className = 'completion-celebration';
     completionCard.innerHTML = `
         <div class="celebration-content">
-            <h2><i class="fas fa-trophy"></i> Congratulations Onyx!</h2>
-            <p>You've just watched Onyx's incredible 258.2-mile journey through the Colorado wilderness!</p>
+            <h2><i class="fas fa-trophy"></i> ${narrativeHtml(tripManifest.narrative.completionTitle)}</h2>
+            <p>${narrativeHtml(tripManifest.narrative.completion)}</p>
             <div class="celebration-stats">
                 <div class="celebration-stat">
                     <i class="fas fa-mountain"></i>
-                    <span>15 segments completed</span>
+                    <span><span data-stat="segmentCount">—</span> segments completed</span>
                 </div>
                 <div class="celebration-stat">
                     <i class="fas fa-calendar"></i>
-                    <span>19 days of adventure</span>
+                    <span><span data-stat="days">—</span> days of adventure</span>
                 </div>
                 <div class="celebration-stat">
                     <i class="fas fa-heart"></i>
@@ -1132,6 +3034,8 @@ function showCompletionMessage() {
         </div>
     `;
     
+    if (tripStats) renderTripStats(tripStats, completionCard);
+    
     segmentInfo.insertBefore(completionCard, segmentInfo.firstChild);
 }
 
@@ -0,0 +1,116 @@
+// Trip manifest: one JSON file that declares the hiker, trail, data files and narrative text.
+// The trip catalog lists every manifest the page can show.
+
+const TRIP_CATALOG_URL = './assets/trips.json';
+
+// Narrative used when the manifest leaves a piece of text out.
+// {hiker} and {trail} are replaced with names; any trip stat key (e.g. {totalMiles})
+// becomes a live value filled in by renderTripStats.
+const DEFAULT_NARRATIVE = {
+    title: '{hiker} Hiked the {trail}!',
+    subtitle: 'Celebrating an incredible {totalMiles}-mile journey',
+    percentLabel: 'of {trail}',
+    sidebarIntro: "Click on any segment to learn more about {hiker}'s journey",
+    loadingTitle: "Loading {hiker}'s Adventure...",
+    welcomeTitle: "Welcome to {hiker}'s Adventure!",
+    welcome: '{hiker} completed {segmentCount} segments of the {trail}. Click the animation button to watch the journey unfold!',
+    animateButton: "Watch {hiker}'s Journey",
+    start: { title: 'Start', text: "The beginning of {hiker}'s journey!" },
+    finish: { title: 'Finish', text: 'All {segmentCount} segments completed!' },
+    completionTitle: 'Congratulations {hiker}!',
+    completion: "You've just watched {hiker}'s {totalMiles}-mile journey!"
+};
+
+async function loadTripCatalog(url = TRIP_CATALOG_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Trip catalog ${url} could not be loaded (HTTP ${response.status})`);
+    }
+    const raw = await response.json();
+
+    const trips = (raw.trips || []).filter(trip => trip.id && trip.manifest);
+    if (trips.length === 0) {
+        throw new Error(`Trip catalog ${url} lists no trips`);
+    }
+
+    const defaultTrip = trips.some(trip => trip.id === raw.defaultTrip) ? raw.defaultTrip : trips[0].id;
+    return {
+        defaultTrip: defaultTrip,
+        map: { center: [39, -105.5], zoom: 8, ...raw.map },
+        baseLayers: normalizeBaseLayers(raw.baseLayers),
+        trips: trips.map(trip => ({ label: trip.id, color: null, ...trip }))
+    };
+}
+
+async function loadTripManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Trip manifest ${url} could not be loaded (HTTP ${response.status})`);
+    }
+    return normalizeTripManifest(await response.json(), url);
+}
+
+// Validate the required fields and fill in defaults for everything optional
+function normalizeTripManifest(raw, source) {
+    const missing = ['hiker.name', 'trail.name', 'data.route']
+        .filter(path => !path.split('.').reduce((obj, key) => obj && obj[key], raw));
+    if (missing.length > 0) {
+        throw new Error(`Trip manifest ${source} is missing ${missing.join(', ')}`);
+    }
+
+    const narrative = { ...DEFAULT_NARRATIVE, ...(raw.narrative || {}) };
+    narrative.start = { ...DEFAULT_NARRATIVE.start, ...((raw.narrative || {}).start || {}) };
+    narrative.finish = { ...DEFAULT_NARRATIVE.finish, ...((raw.narrative || {}).finish || {}) };
+
+    return {
+        id: raw.id || raw.hiker.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        hiker: raw.hiker,
+        trail: { totalMiles: null, ...raw.trail },
+        days: raw.days ?? null,
+        // Whole-trail progress: a trail reference file and the segment ids done on it
+        progress: raw.progress && raw.progress.reference ? { completed: [], ...raw.progress } : null,
+        // Live-hike mode: a check-in feed polled while the trip is shown
+        live: raw.live && raw.live.feed ? { pollSeconds: LIVE_POLL_SECONDS, ...raw.live } : null,
+        data: { gpx: null, itinerary: null, photos: null, encounters: null, journal: null, ...raw.data },
+        map: { center: [39, -105.5], zoom: 8, ...raw.map },
+        narrative: narrative
+    };
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Turn a narrative template into HTML for the given manifest
+function renderNarrative(template, manifest) {
+    return escapeHtml(template).replace(/\{(\w+)\}/g, (match, key) => {
+        if (key === 'hiker') return escapeHtml(manifest.hiker.name);
+        if (key === 'trail') return escapeHtml(manifest.trail.name);
+        return `<span data-stat="${key}">—</span>`;
+    });
+}
+
+// Plain-text version for places that cannot hold markup (document title, aria labels)
+function renderNarrativeText(template, manifest) {
+    return template
+        .replace(/\{hiker\}/g, manifest.hiker.name)
+        .replace(/\{trail\}/g, manifest.trail.name);
+}
+
+// Fill every element carrying a data-narrative attribute with its manifest text
+function renderManifestText(manifest, root = document) {
+    root.querySelectorAll('[data-narrative]').forEach(element => {
+        const template = manifest.narrative[element.dataset.narrative];
+        if (typeof template === 'string') {
+            element.innerHTML = renderNarrative(template, manifest);
+        }
+    });
+    if (root === document) {
+        document.title = renderNarrativeText(manifest.narrative.title, manifest);
+    }
+}
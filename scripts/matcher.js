@@ -0,0 +1,309 @@
+// Segment-to-track matching: pairs each route.json segment with one or more GPX tracks
+
+// Endpoints further than this from a track end add nothing to its score
+const MATCH_ENDPOINT_TOLERANCE_METERS = 8000;
+// Track ends closer than this are treated as the same spot when chaining tracks
+const MATCH_CHAIN_TOLERANCE_METERS = 500;
+// A waypoint must be this close to a track end to lend it its name
+const MATCH_WAYPOINT_RADIUS_METERS = 3000;
+// Direct matches below this confidence are left for continuity matching
+const MATCH_MIN_CONFIDENCE = 0.5;
+
+// Weights of the three signals in a direct match
+const MATCH_WEIGHTS = { names: 0.4, endpoints: 0.35, waypoints: 0.25 };
+
+// Place-name words that say nothing about which place is meant
+const GENERIC_PLACE_WORDS = new Set(['th', 'trailhead', 'road', 'rd', 'the', 'of', 'and', 'main', 'route', 'trail']);
+const PLACE_WORD_ALIASES = { mt: 'mount', hwy: 'highway', us: 'highway' };
+
+// "CW04 - Tin Cup Pass Road to Boss Lake TH" → { code: 'CW04', from: 'Tin Cup Pass Road', to: 'Boss Lake TH' }
+function parseTrackName(name) {
+    const match = /^\s*([a-z]*\d+)\s*[-–:]\s*(.+?)\s+to\s+(.+?)\s*$/i.exec(name || '');
+    if (!match) return { code: null, from: null, to: null };
+    return { code: match[1].toUpperCase(), from: match[2], to: match[3] };
+}
+
+function placeNameTokens(name) {
+    return new Set(
+        (name || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .map(word => PLACE_WORD_ALIASES[word] || word)
+            .filter(word => word && !GENERIC_PLACE_WORDS.has(word))
+    );
+}
+
+// Dice coefficient over the meaningful words of two place names (0..1)
+function placeNameSimilarity(a, b) {
+    const tokensA = placeNameTokens(a);
+    const tokensB = placeNameTokens(b);
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    let shared = 0;
+    tokensA.forEach(token => { if (tokensB.has(token)) shared++; });
+    return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+function endpointScore(distanceMeters) {
+    return Math.max(0, 1 - distanceMeters / MATCH_ENDPOINT_TOLERANCE_METERS);
+}
+
+function nearestWaypointName(coord, waypoints, waypointIndex) {
+    const hit = waypointIndex.withinRadius(coord, MATCH_WAYPOINT_RADIUS_METERS)[0];
+    return hit ? waypoints[hit.index].name : null;
+}
+
+// Everything the matcher needs about a track, computed once
+function describeTrack(track, index, waypoints, waypointIndex) {
+    const coords = (track.points || []).map(p => [p.lat, p.lon, p.ele]);
+    const first = coords[0];
+    const last = coords[coords.length - 1];
+    return {
+        index: index,
+        name: track.name || `Track ${index + 1}`,
+        coords: coords,
+        parsed: parseTrackName(track.name),
+        start: first,
+        end: last,
+        startWaypoint: first ? nearestWaypointName(first, waypoints, waypointIndex) : null,
+        endWaypoint: last ? nearestWaypointName(last, waypoints, waypointIndex) : null,
+        miles: coords.length > 1 ? computeCumulativeMeters(coords)[coords.length - 1] / METERS_PER_MILE : 0
+    };
+}
+
+// Score one segment against one track in one direction
+function scoreSegmentTrack(segment, track, reversed) {
+    const trackStart = reversed ? track.end : track.start;
+    const trackEnd = reversed ? track.start : track.end;
+    const trackFrom = reversed ? track.parsed.to : track.parsed.from;
+    const trackTo = reversed ? track.parsed.from : track.parsed.to;
+    const startWaypoint = reversed ? track.endWaypoint : track.startWaypoint;
+    const endWaypoint = reversed ? track.startWaypoint : track.endWaypoint;
+
+    const startOffset = haversineMeters(segment.startCoords, trackStart);
+    const endOffset = haversineMeters(segment.endCoords, trackEnd);
+    const endpoints = (endpointScore(startOffset) + endpointScore(endOffset)) / 2;
+
+    let names = (placeNameSimilarity(segment.start_location, trackFrom) +
+        placeNameSimilarity(segment.finish_location, trackTo)) / 2;
+    // "Segment 8" and a track coded "08" name the same segment
+    const segmentNumber = /(\d+)\s*$/.exec(segment.name || '');
+    if (segmentNumber && track.parsed.code && /^\d+$/.test(track.parsed.code) &&
+        Number(track.parsed.code) === Number(segmentNumber[1])) {
+        names = Math.max(names, 1);
+    }
+
+    const waypoints = (placeNameSimilarity(segment.start_location, startWaypoint) +
+        placeNameSimilarity(segment.finish_location, endWaypoint)) / 2;
+
+    return {
+        confidence: MATCH_WEIGHTS.names * names + MATCH_WEIGHTS.endpoints * endpoints + MATCH_WEIGHTS.waypoints * waypoints,
+        signals: { names, endpoints, waypoints }
+    };
+}
+
+// Pair every route segment with GPX tracks. Returns one match per segment:
+// { tracks: [{ index, name, reversed }], method, confidence, signals }
+function matchSegmentsToTracks(routeData, tracks, waypoints) {
+    const waypointList = waypoints || [];
+    const waypointIndex = createSpatialIndex(waypointList.map(waypoint => [waypoint.lat, waypoint.lon]));
+    const trackInfo = tracks.map((track, i) => describeTrack(track, i, waypointList, waypointIndex))
+        .filter(track => track.coords.length >= 2);
+    const segments = routeData.map(rd => ({
+        ...rd,
+        startCoords: [rd.start_coords.latitude, rd.start_coords.longitude],
+        endCoords: [rd.finish_coords.latitude, rd.finish_coords.longitude]
+    }));
+
+    const matches = segments.map(() => ({ tracks: [], method: 'interpolated', confidence: 0, signals: null }));
+    const usedTracks = new Set();
+
+    // Pass 1: direct matches, most confident pairing first
+    const candidates = [];
+    segments.forEach((segment, segmentIndex) => {
+        trackInfo.forEach(track => {
+            [false, true].forEach(reversed => {
+                const score = scoreSegmentTrack(segment, track, reversed);
+                candidates.push({ segmentIndex, track, reversed, ...score });
+            });
+        });
+    });
+    candidates.sort((a, b) => b.confidence - a.confidence);
+
+    candidates.forEach(candidate => {
+        if (candidate.confidence < MATCH_MIN_CONFIDENCE) return;
+        if (matches[candidate.segmentIndex].tracks.length > 0 || usedTracks.has(candidate.track.index)) return;
+        matches[candidate.segmentIndex] = {
+            tracks: [{ index: candidate.track.index, name: candidate.track.name, reversed: candidate.reversed }],
+            method: 'direct',
+            confidence: candidate.confidence,
+            signals: candidate.signals
+        };
+        usedTracks.add(candidate.track.index);
+    });
+
+    // Pass 2: fill runs of unmatched segments by chaining unused tracks end to end
+    // from the previous matched segment toward the next one
+    let i = 0;
+    while (i < segments.length) {
+        if (matches[i].tracks.length > 0) {
+            i++;
+            continue;
+        }
+        const runStart = i;
+        while (i < segments.length && matches[i].tracks.length === 0) i++;
+        fillUnmatchedRun(segments, matches, runStart, i, trackInfo, usedTracks);
+    }
+
+    return { matches, trackInfo, segments };
+}
+
+function matchEndCoord(match, trackInfo, atStart) {
+    const byIndex = (index) => trackInfo.find(track => track.index === index);
+    const ref = atStart ? match.tracks[0] : match.tracks[match.tracks.length - 1];
+    const track = byIndex(ref.index);
+    const useStart = atStart !== ref.reversed;
+    return useStart ? track.start : track.end;
+}
+
+function fillUnmatchedRun(segments, matches, runStart, runEnd, trackInfo, usedTracks) {
+    const before = runStart > 0 ? matches[runStart - 1] : null;
+    const after = runEnd < segments.length ? matches[runEnd] : null;
+    const from = before ? matchEndCoord(before, trackInfo, false) : null;
+    const to = after ? matchEndCoord(after, trackInfo, true) : null;
+    if (!from && !to) return;
+
+    // Walk forward from the previous segment's end (or backward from the next segment's start)
+    const chain = [];
+    const chainUsed = new Set();
+    let cursor = from || to;
+    const forward = Boolean(from);
+    const target = forward ? to : null;
+    const runLength = runEnd - runStart;
+    // A chain between two matched neighbours may hold several tracks per segment;
+    // an open-ended one may not run past the segments it has to fill
+    const maxLinks = from && to ? runLength * 3 : runLength;
+
+    while (chain.length < maxLinks) {
+        if (target && haversineMeters(cursor, target) <= MATCH_CHAIN_TOLERANCE_METERS && chain.length > 0) break;
+        const next = trackInfo.find(track => !usedTracks.has(track.index) && !chainUsed.has(track.index) &&
+            (haversineMeters(cursor, track.start) <= MATCH_CHAIN_TOLERANCE_METERS ||
+             haversineMeters(cursor, track.end) <= MATCH_CHAIN_TOLERANCE_METERS));
+        if (!next) break;
+
+        const touchesStart = haversineMeters(cursor, next.start) <= MATCH_CHAIN_TOLERANCE_METERS;
+        // Walking forward a track should leave from its start; walking backward, arrive at its end
+        const reversed = forward ? !touchesStart : touchesStart;
+        chain.push({ track: next, reversed });
+        chainUsed.add(next.index);
+        cursor = touchesStart ? next.end : next.start;
+    }
+    if (!forward) chain.reverse();
+
+    const closed = Boolean(from && to) && haversineMeters(cursor, to) <= MATCH_CHAIN_TOLERANCE_METERS;
+    // Only trust a chain that bridges both neighbours, or an open one that fits the run exactly
+    if (chain.length < runLength || (!closed && chain.length !== runLength)) return;
+
+    const groups = distributeChain(chain, segments.slice(runStart, runEnd));
+    groups.forEach((group, offset) => {
+        matches[runStart + offset] = {
+            tracks: group.map(link => ({ index: link.track.index, name: link.track.name, reversed: link.reversed })),
+            method: 'continuity',
+            confidence: closed ? 0.6 : 0.4,
+            signals: null
+        };
+        group.forEach(link => usedTracks.add(link.track.index));
+    });
+}
+
+// Split a chain of tracks across consecutive segments, one or more tracks each,
+// keeping each segment's share of the chain close to its share of the run's mileage
+function distributeChain(chain, runSegments) {
+    if (chain.length === runSegments.length) return chain.map(link => [link]);
+
+    const runMiles = runSegments.reduce((sum, segment) => sum + (Number(segment.distance) || 0), 0);
+    const chainMiles = chain.reduce((sum, link) => sum + link.track.miles, 0);
+    const groups = runSegments.map(() => []);
+    let linkIndex = 0;
+    let targetMiles = 0;
+    let chainSoFar = 0;
+
+    runSegments.forEach((segment, s) => {
+        targetMiles += runMiles > 0 ? ((Number(segment.distance) || 0) / runMiles) * chainMiles : chainMiles / runSegments.length;
+        const remainingSegments = runSegments.length - s - 1;
+        // Every segment gets at least one track; the last one takes whatever is left
+        do {
+            groups[s].push(chain[linkIndex]);
+            chainSoFar += chain[linkIndex].track.miles;
+            linkIndex++;
+        } while (linkIndex < chain.length - remainingSegments &&
+            (remainingSegments === 0 ||
+             Math.abs(chainSoFar + chain[linkIndex].track.miles - targetMiles) < Math.abs(chainSoFar - targetMiles)));
+    });
+
+    return groups;
+}
+
+// Join a segment's matched tracks into one coordinate list, in walking direction.
+// `times` holds each point's GPS timestamp (epoch ms), or is null unless every point has one.
+function assembleMatchedTrack(match, tracks) {
+    const coords = [];
+    const times = [];
+    match.tracks.forEach(ref => {
+        const points = tracks[ref.index].points.slice();
+        if (ref.reversed) points.reverse();
+        const trackCoords = points.map(p => [p.lat, p.lon, p.ele]);
+        // Consecutive tracks share their joining point
+        const startAt = coords.length > 0 &&
+            haversineMeters(coords[coords.length - 1], trackCoords[0]) < 1 ? 1 : 0;
+        for (let i = startAt; i < trackCoords.length; i++) {
+            coords.push(trackCoords[i]);
+            times.push(points[i].time ? points[i].time.getTime() : NaN);
+        }
+    });
+    return { coords: coords, times: completeTimestamps(times) };
+}
+
+// Diagnostics: one row per segment plus any GPX tracks that were left unused
+function buildMatchReport(result) {
+    const { matches, trackInfo, segments } = result;
+    const byIndex = (index) => trackInfo.find(track => track.index === index);
+
+    const pairings = segments.map((segment, i) => {
+        const match = matches[i];
+        const row = {
+            segment: segment.name,
+            route: `${segment.start_location} → ${segment.finish_location}`,
+            tracks: match.tracks.map(ref => `${ref.name}${ref.reversed ? ' (reversed)' : ''}`).join(' + ') || '—',
+            method: match.method,
+            confidence: Number(match.confidence.toFixed(2)),
+            startOffsetMeters: null,
+            endOffsetMeters: null,
+            lengthRatio: null
+        };
+        if (match.tracks.length > 0) {
+            row.startOffsetMeters = Math.round(haversineMeters(segment.startCoords, matchEndCoord(match, trackInfo, true)));
+            row.endOffsetMeters = Math.round(haversineMeters(segment.endCoords, matchEndCoord(match, trackInfo, false)));
+            const trackMiles = match.tracks.reduce((sum, ref) => sum + byIndex(ref.index).miles, 0);
+            if (segment.distance) row.lengthRatio = Number((trackMiles / segment.distance).toFixed(2));
+        }
+        return row;
+    });
+
+    const used = new Set(matches.flatMap(match => match.tracks.map(ref => ref.index)));
+    return {
+        pairings: pairings,
+        interpolated: pairings.filter(row => row.method === 'interpolated').map(row => row.segment),
+        unusedTracks: trackInfo.filter(track => !used.has(track.index)).map(track => track.name)
+    };
+}
+
+function logMatchReport(report) {
+    console.log('=== SEGMENT MATCH DIAGNOSTICS ===');
+    console.table(report.pairings);
+    if (report.interpolated.length > 0) {
+        console.warn(`⚠️  Interpolated fallback: ${report.interpolated.join(', ')}`);
+    }
+    if (report.unusedTracks.length > 0) {
+        console.log(`Unused GPX tracks: ${report.unusedTracks.join(', ')}`);
+    }
+}
@@ -0,0 +1,93 @@
+// Offline support shared by the page and the service worker (sw.js imports this file):
+// cache names, how tile requests are keyed, and which tiles cover the route corridor.
+// Nothing here may touch the DOM, since it also runs inside the worker.
+
+// The app shell and any trail data fetched from this site share one cache
+const OFFLINE_SHELL_CACHE = 'trail-journey-shell-v5';
+const OFFLINE_TILE_CACHE = 'trail-journey-tiles-v1';
+
+// Zoom levels offered for download, and the ones ticked by default
+const OFFLINE_TILE_ZOOMS = [9, 10, 11, 12, 13, 14, 15];
+const OFFLINE_DEFAULT_ZOOMS = [10, 11, 12, 13];
+// Tiles kept either side of the trail at every zoom
+const OFFLINE_CORRIDOR_TILES = 1;
+// The tile servers are volunteer-run; keep a single download modest and unhurried
+const OFFLINE_MAX_TILES = 6000;
+const OFFLINE_TILE_CONCURRENCY = 4;
+// Rough average size of a topo tile, for the download estimate
+const OFFLINE_TILE_BYTES = 30 * 1024;
+
+// Slippy-map tile column and row holding a point
+function tileForLatLon(lat, lon, zoom) {
+    const n = 2 ** zoom;
+    const latRad = lat * Math.PI / 180;
+    return {
+        x: Math.floor(((lon + 180) / 360) * n),
+        y: Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n)
+    };
+}
+
+// Every tile within OFFLINE_CORRIDOR_TILES of the route at each zoom, as { z, x, y }.
+// Long straight stretches are stepped through a tile at a time so none are skipped.
+function corridorTiles(coords, zooms, buffer = OFFLINE_CORRIDOR_TILES) {
+    const tiles = [];
+    zooms.forEach(zoom => {
+        const n = 2 ** zoom;
+        const seen = new Set();
+        const add = (x, y) => {
+            for (let dx = -buffer; dx <= buffer; dx++) {
+                for (let dy = -buffer; dy <= buffer; dy++) {
+                    const tx = x + dx;
+                    const ty = y + dy;
+                    const key = `${tx}/${ty}`;
+                    if (tx < 0 || ty < 0 || tx >= n || ty >= n || seen.has(key)) continue;
+                    seen.add(key);
+                    tiles.push({ z: zoom, x: tx, y: ty });
+                }
+            }
+        };
+
+        let previous = null;
+        coords.forEach(coord => {
+            const tile = tileForLatLon(coord[0], coord[1], zoom);
+            if (previous) {
+                const steps = Math.max(Math.abs(tile.x - previous.coord.x), Math.abs(tile.y - previous.coord.y));
+                for (let i = 1; i < steps; i++) {
+                    const t = i / steps;
+                    const between = tileForLatLon(
+                        previous.latlon[0] + (coord[0] - previous.latlon[0]) * t,
+                        previous.latlon[1] + (coord[1] - previous.latlon[1]) * t,
+                        zoom
+                    );
+                    add(between.x, between.y);
+                }
+            }
+            add(tile.x, tile.y);
+            previous = { coord: tile, latlon: coord };
+        });
+    });
+    return tiles;
+}
+
+// A tile's URL from a Leaflet-style template, always on the first subdomain.
+// {-y} counts rows from the south, as MBTiles (TMS) tile sets do.
+function tileUrl(template, tile, subdomains = 'abc') {
+    return template
+        .replace('{s}', subdomains[0])
+        .replace('{z}', tile.z)
+        .replace('{x}', tile.x)
+        .replace('{y}', tile.y)
+        .replace('{-y}', 2 ** tile.z - 1 - tile.y)
+        .replace('{r}', '');
+}
+
+// Tile servers spread requests over a., b. and c. hosts; cache every copy under the a. URL
+function canonicalTileUrl(url) {
+    return url.replace(/^(https?:\/\/)[a-d]\./, '$1a.');
+}
+
+// Map tile requests look like .../{z}/{x}/{y}.png on some tile host (ArcGIS servers
+// end in .../tile/{z}/{y}/{x} with no extension)
+function isTileUrl(url) {
+    return /\/\d+\/\d+\/\d+((@2x)?\.(png|jpe?g|webp))?(\?.*)?$/.test(url);
+}
@@ -0,0 +1,126 @@
+// Photos from the hike, pinned to the trail. A trip's photos file lists each image
+// with an optional caption; where the photo was taken comes from the manifest
+// (`coords`, `time`) or else from the image's EXIF GPS position and capture time.
+// Every photo is snapped onto the trail so it belongs to a segment and a trip mile.
+
+// Photos further than this from the trail are still shown, just not pinned to a segment
+const PHOTO_TRAIL_SNAP_METERS = 2000;
+// Photos with a date but no position are spread over that day's stretch of trail,
+// assuming hiking between these local hours
+const PHOTO_DAY_START_HOUR = 7;
+const PHOTO_DAY_END_HOUR = 18;
+
+async function loadPhotoManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Photos ${url} could not be loaded (HTTP ${response.status})`);
+    }
+    const raw = await response.json();
+    if (!Array.isArray(raw.photos)) {
+        throw new Error(`Photos ${url} has no "photos" list`);
+    }
+    return raw.photos.filter(photo => photo && photo.src);
+}
+
+// GPS position and capture time from a photo's EXIF, or nulls when it has none
+// (or when the exifr library didn't load)
+async function readPhotoExif(src) {
+    const empty = { coords: null, time: null };
+    if (typeof exifr === 'undefined') return empty;
+    try {
+        const tags = await exifr.parse(src, { gps: true, pick: ['DateTimeOriginal', 'CreateDate', 'latitude', 'longitude'] });
+        if (!tags) return empty;
+        const time = tags.DateTimeOriginal || tags.CreateDate || null;
+        return {
+            coords: Number.isFinite(tags.latitude) && Number.isFinite(tags.longitude) ? [tags.latitude, tags.longitude] : null,
+            time: time instanceof Date && !Number.isNaN(time.getTime()) ? time.getTime() : null
+        };
+    } catch (error) {
+        console.warn(`Could not read EXIF from ${src}:`, error);
+        return empty;
+    }
+}
+
+// Local calendar date of a timestamp as YYYY-MM-DD, to compare with itinerary dates
+function localDateKey(timeMs) {
+    const date = new Date(timeMs);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Trip chainage for a photo with a time but no position: from the GPS clock when the
+// tracks have timestamps, otherwise by time of day along that day of the itinerary
+function chainageForPhotoTime(timeMs, trip, itinerary) {
+    if (trip.times && timeMs >= trip.times[0] && timeMs <= trip.times[trip.times.length - 1]) {
+        return chainageAtTime(trip.times, trip.cumulativeMeters, timeMs);
+    }
+
+    const day = (itinerary || []).find(candidate => candidate.date === localDateKey(timeMs));
+    if (!day) return null;
+    const date = new Date(timeMs);
+    const hours = date.getHours() + date.getMinutes() / 60;
+    const fraction = Math.max(0, Math.min(1, (hours - PHOTO_DAY_START_HOUR) / (PHOTO_DAY_END_HOUR - PHOTO_DAY_START_HOUR)));
+    return (day.startMile + (day.endMile - day.startMile) * fraction) * METERS_PER_MILE;
+}
+
+// Resolve where every photo was taken and where it sits on the trail. Returns photos in
+// trail order: { src, thumb, caption, time, coords, tripMeters, segmentIndex, placement }.
+// Photos that can't be placed at all are left out with a warning.
+async function placePhotos(entries, segments, itinerary) {
+    const trip = buildTripGeometry(segments);
+    const tripIndex = getSpatialIndex(trip.coords);
+    const photos = [];
+
+    for (const entry of entries) {
+        const needsExif = !Array.isArray(entry.coords) || !entry.time;
+        const exif = needsExif ? await readPhotoExif(entry.src) : { coords: null, time: null };
+        const manifestTime = entry.time ? Date.parse(entry.time) : NaN;
+        const time = Number.isFinite(manifestTime) ? manifestTime : exif.time;
+        const coords = Array.isArray(entry.coords) ? entry.coords : exif.coords;
+
+        let placement = null;
+        let tripMeters = null;
+        let photoCoords = coords;
+        if (coords) {
+            placement = Array.isArray(entry.coords) ? 'manifest' : 'gps';
+            const hit = tripIndex.nearestOnLine(coords, trip.cumulativeMeters, PHOTO_TRAIL_SNAP_METERS);
+            tripMeters = hit ? hit.chainageMeters : null;
+        } else if (time !== null) {
+            tripMeters = chainageForPhotoTime(time, trip, itinerary);
+            if (tripMeters !== null) {
+                placement = 'time';
+                photoCoords = pointAtChainage(trip.coords, trip.cumulativeMeters, tripMeters);
+            }
+        }
+
+        if (!photoCoords) {
+            console.warn(`Photo ${entry.src} has no position or usable time; leaving it off the map`);
+            continue;
+        }
+
+        let segmentIndex = -1;
+        if (tripMeters !== null) {
+            segmentIndex = trip.segmentStarts.length - 1;
+            while (segmentIndex > 0 && trip.segmentStarts[segmentIndex] > tripMeters) segmentIndex--;
+        }
+
+        photos.push({
+            src: entry.src,
+            thumb: entry.thumb || entry.src,
+            caption: entry.caption || '',
+            time: time,
+            coords: [photoCoords[0], photoCoords[1]],
+            tripMeters: tripMeters,
+            segmentIndex: segmentIndex,
+            placement: placement
+        });
+    }
+
+    // Trail order, with photos off the trail last
+    return photos.sort((a, b) => (a.tripMeters ?? Infinity) - (b.tripMeters ?? Infinity));
+}
+
+// Photos along a stretch of trip chainage, such as one day
+function photosBetween(photos, fromMeters, toMeters) {
+    return photos.filter(photo => photo.tripMeters !== null && photo.tripMeters >= fromMeters && photo.tripMeters <= toMeters);
+}
@@ -0,0 +1,92 @@
+// Journey playback timeline. Time on screen is proportional to trail distance: every
+// segment draws at the same pace along its GPX geometry, then rests briefly before the
+// next one. Times are milliseconds at 1× speed; the player scales them.
+// When every item has GPS timestamps the timeline can follow the clock instead.
+
+const PLAYBACK_MS_PER_MILE = 200;
+const PLAYBACK_REST_MS = 500;
+// Items with no distance (zero days) still get a moment on screen
+const PLAYBACK_IDLE_MS = 1500;
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 5, 10];
+// Real-time replay: one hour of the hike per second at 1×, breaks and nights included
+const PLAYBACK_REAL_TIME_MS_PER_HOUR = 1000;
+
+function canPlayInRealTime(segments) {
+    return segments.length > 0 && segments.every(segment => segment.times);
+}
+
+// One entry per segment, with where it starts on the timeline and along the whole trip.
+// With options.realTime each segment takes as long as it did on the GPS clock and rests
+// for the real gap before the next one; without timestamps it falls back to distance.
+function buildPlaybackTimeline(segments, options = {}) {
+    const realTime = Boolean(options.realTime) && canPlayInRealTime(segments);
+    const clockScale = PLAYBACK_REAL_TIME_MS_PER_HOUR / 3600000;
+    let startMs = 0;
+    let startMeters = 0;
+    const entries = segments.map((segment, i) => {
+        const lengthMeters = segment.cumulativeMeters[segment.cumulativeMeters.length - 1] || 0;
+        const entry = {
+            startMs: startMs,
+            drawMs: Math.max(1, (lengthMeters / METERS_PER_MILE) * PLAYBACK_MS_PER_MILE),
+            restMs: lengthMeters > 0 ? PLAYBACK_REST_MS : PLAYBACK_IDLE_MS,
+            startMeters: startMeters,
+            lengthMeters: lengthMeters,
+            times: null
+        };
+        if (realTime) {
+            const times = segment.times;
+            const next = segments[i + 1];
+            entry.drawMs = Math.max(1, (times[times.length - 1] - times[0]) * clockScale);
+            entry.restMs = next ? Math.max(0, next.times[0] - times[times.length - 1]) * clockScale : PLAYBACK_REST_MS;
+            entry.times = times;
+            entry.cumulativeMeters = segment.cumulativeMeters;
+            entry.clockScale = clockScale;
+        }
+        startMs += entry.drawMs + entry.restMs;
+        startMeters += lengthMeters;
+        return entry;
+    });
+    return { entries: entries, totalMs: startMs, totalMeters: startMeters, realTime: realTime };
+}
+
+// The segment on screen at a given time, how much of it is drawn (0..1) and how far
+// along it the hiker is. Real-time timelines also give the GPS clock time (else null).
+function locatePlaybackTime(timeline, timeMs) {
+    const entries = timeline.entries;
+    let lo = 0;
+    let hi = entries.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (entries[mid].startMs <= timeMs) lo = mid;
+        else hi = mid - 1;
+    }
+    const entry = entries[lo];
+    const progress = Math.max(0, Math.min(1, (timeMs - entry.startMs) / entry.drawMs));
+    if (!entry.times) {
+        return { segmentIndex: lo, progress: progress, chainageMeters: progress * entry.lengthMeters, clockTime: null };
+    }
+
+    // The clock keeps running through the rest after the segment (the night before the next one)
+    const elapsedMs = Math.max(0, Math.min(entry.drawMs + entry.restMs, timeMs - entry.startMs));
+    const clockTime = entry.times[0] + elapsedMs / entry.clockScale;
+    return {
+        segmentIndex: lo,
+        progress: progress,
+        chainageMeters: chainageAtTime(entry.times, entry.cumulativeMeters, clockTime),
+        clockTime: clockTime
+    };
+}
+
+function playbackSegmentStart(timeline, segmentIndex) {
+    return timeline.entries[segmentIndex].startMs;
+}
+
+// The moment a segment has just finished drawing
+function playbackSegmentEnd(timeline, segmentIndex) {
+    const entry = timeline.entries[segmentIndex];
+    return entry.startMs + entry.drawMs;
+}
+
+function formatPlaybackSpeed(speed) {
+    return `${speed}×`;
+}
@@ -0,0 +1,102 @@
+// Progress along the whole trail. A reference file lists every segment of the trail,
+// with the ones on an alternate route (e.g. Collegiate East/West) tagged by it; a
+// trip's manifest lists the segment ids done so far.
+
+// Marks made in the progress tracker, kept per trip on this device
+const PROGRESS_STORAGE_PREFIX = 'trail-journey-progress-';
+
+// { name, alternates: [{ id, label }], segments: [{ id, name, finish, miles, alternate, coords, schematic }] }.
+// Segments naming a `track` take its line from the reference GPX; the rest are drawn
+// through their listed `coords`, which only sketch the route (schematic). Names read
+// "Start to Finish"; the finish names the segment's end unless `finish` is given.
+async function loadTrailReference(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Trail reference ${url} could not be loaded (HTTP ${response.status})`);
+    }
+    const raw = await response.json();
+    if (!Array.isArray(raw.segments) || raw.segments.length === 0) {
+        throw new Error(`Trail reference ${url} has no "segments" list`);
+    }
+
+    let tracks = [];
+    if (raw.gpx) {
+        try {
+            const gpxResponse = await fetch(raw.gpx);
+            if (!gpxResponse.ok) throw new Error(`HTTP ${gpxResponse.status}`);
+            const parser = new gpxParser();
+            parser.parse(await gpxResponse.text());
+            tracks = parser.tracks || [];
+        } catch (error) {
+            console.warn(`Trail reference GPX ${raw.gpx} could not be loaded; drawing segments from their coords:`, error);
+        }
+    }
+
+    const alternates = raw.alternates || [];
+    const segments = raw.segments.map(segment => {
+        const track = segment.track ? tracks.find(candidate => candidate.name === segment.track) : null;
+        const trackCoords = track ? (track.points || []).map(point => [point.lat, point.lon]) : [];
+        const coords = trackCoords.length >= 2 ? trackCoords : (segment.coords || []);
+        return {
+            id: String(segment.id),
+            name: segment.name || `Segment ${segment.id}`,
+            finish: segment.finish || String(segment.name || `End of segment ${segment.id}`).split(' to ').pop(),
+            miles: Number(segment.miles) || 0,
+            alternate: alternates.some(alternate => alternate.id === segment.alternate) ? segment.alternate : null,
+            coords: coords,
+            schematic: trackCoords.length < 2
+        };
+    });
+
+    return { name: raw.name || '', alternates: alternates, segments: segments };
+}
+
+// Miles done and to go along the route through the alternate with the most miles done
+// (the first alternate until one is started), plus a breakdown per part of the trail
+function computeTrailProgress(reference, completedIds) {
+    const done = new Set(completedIds.map(String));
+    const part = (alternate) => {
+        const segments = reference.segments.filter(segment => segment.alternate === alternate);
+        return {
+            totalMiles: segments.reduce((total, segment) => total + segment.miles, 0),
+            completedMiles: segments.filter(segment => done.has(segment.id)).reduce((total, segment) => total + segment.miles, 0),
+            segmentCount: segments.length,
+            completedCount: segments.filter(segment => done.has(segment.id)).length
+        };
+    };
+
+    const shared = part(null);
+    const alternates = reference.alternates.map(alternate => ({ ...alternate, ...part(alternate.id) }));
+    const route = alternates.reduce((best, alternate) => (!best || alternate.completedMiles > best.completedMiles ? alternate : best), null);
+
+    const totalMiles = shared.totalMiles + (route ? route.totalMiles : 0);
+    const completedMiles = shared.completedMiles + (route ? route.completedMiles : 0);
+    return {
+        completed: done,
+        route: route,
+        totalMiles: totalMiles,
+        completedMiles: completedMiles,
+        remainingMiles: Math.max(0, totalMiles - completedMiles),
+        percent: totalMiles > 0 ? (completedMiles / totalMiles) * 100 : 0,
+        parts: [{ id: null, label: 'Main trail', ...shared }].concat(alternates)
+    };
+}
+
+// The tracker's marks for a trip, or null when none were made on this device
+function loadProgressMarks(tripId) {
+    try {
+        const saved = localStorage.getItem(PROGRESS_STORAGE_PREFIX + tripId);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveProgressMarks(tripId, ids) {
+    try {
+        if (ids) localStorage.setItem(PROGRESS_STORAGE_PREFIX + tripId, JSON.stringify(ids));
+        else localStorage.removeItem(PROGRESS_STORAGE_PREFIX + tripId);
+    } catch (error) {
+        console.warn('Progress marks could not be saved on this device:', error);
+    }
+}
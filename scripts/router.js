@@ -0,0 +1,53 @@
+// Hash-based routing so segment views, animation position and map view can be shared as links.
+// Example: #trip=onyx-colorado-trail&segment=8&map=39.41000,-105.75670,12
+// Playing day by day adds by=days, and anim then counts days instead of segments.
+
+const OVERVIEW_ROUTE_TRIP = 'overview';
+
+function parseRoute(hash = window.location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const toSegmentId = (value) => {
+        const id = parseInt(value, 10);
+        return Number.isInteger(id) && id > 0 ? id : null;
+    };
+
+    let mapView = null;
+    const mapParts = (params.get('map') || '').split(',').map(Number);
+    if (mapParts.length === 3 && mapParts.every(Number.isFinite)) {
+        mapView = { center: [mapParts[0], mapParts[1]], zoom: mapParts[2] };
+    }
+
+    return {
+        trip: params.get('trip') || null,
+        segment: toSegmentId(params.get('segment')),
+        day: toSegmentId(params.get('day')),
+        anim: toSegmentId(params.get('anim')),
+        by: params.get('by') === 'days' ? 'days' : null,
+        map: mapView
+    };
+}
+
+function buildRouteHash(route) {
+    const params = new URLSearchParams();
+    if (route.trip) params.set('trip', route.trip);
+    if (route.segment) params.set('segment', route.segment);
+    if (route.day) params.set('day', route.day);
+    if (route.anim) params.set('anim', route.anim);
+    if (route.anim && route.by) params.set('by', route.by);
+    if (route.map) {
+        params.set('map', `${route.map.center[0].toFixed(5)},${route.map.center[1].toFixed(5)},${route.map.zoom}`);
+    }
+    // URLSearchParams encodes the commas in the map view; they are safe in a hash
+    return '#' + params.toString().replace(/%2C/g, ',');
+}
+
+// Write a route to the address bar. Pushing creates a back/forward step, replacing does not.
+function writeRoute(route, { replace = false } = {}) {
+    const hash = buildRouteHash(route);
+    if (hash === window.location.hash) return;
+    if (replace) {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+}
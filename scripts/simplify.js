@@ -0,0 +1,106 @@
+// Track simplification (Douglas–Peucker) and zoom-dependent polyline detail.
+// Segments keep their full coordinates for elevation profiles and lookups; the map
+// only ever draws the simplified level that suits the current zoom.
+
+// Each level is used up to and including maxZoom. Tolerances are roughly one screen
+// pixel at that zoom, so dropped points would never have been visible.
+const DETAIL_LEVELS = [
+    { maxZoom: 8, toleranceMeters: 250 },
+    { maxZoom: 10, toleranceMeters: 60 },
+    { maxZoom: 12, toleranceMeters: 15 },
+    { maxZoom: 14, toleranceMeters: 4 },
+    { maxZoom: Infinity, toleranceMeters: 0 }
+];
+
+// Douglas–Peucker: keep the point farthest from the chord while it is further than the
+// tolerance, then recurse on both halves. Unlike taking every Nth point this keeps the
+// corners of switchbacks. Returns the indices of the points kept, in order.
+function douglasPeuckerIndices(coords, toleranceMeters) {
+    if (coords.length <= 2 || toleranceMeters <= 0) return coords.map((coord, i) => i);
+
+    const keep = new Uint8Array(coords.length);
+    keep[0] = 1;
+    keep[coords.length - 1] = 1;
+
+    const stack = [[0, coords.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let farthestIndex = -1;
+        let farthestDistance = toleranceMeters;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = projectOntoSegment(coords[i], coords[first], coords[last]).distanceMeters;
+            if (distance > farthestDistance) {
+                farthestDistance = distance;
+                farthestIndex = i;
+            }
+        }
+
+        if (farthestIndex !== -1) {
+            keep[farthestIndex] = 1;
+            stack.push([first, farthestIndex], [farthestIndex, last]);
+        }
+    }
+
+    const indices = [];
+    keep.forEach((kept, i) => { if (kept) indices.push(i); });
+    return indices;
+}
+
+// Simplify once at load: one coordinate array per detail level, with the index of
+// each kept point in the full track so a level can be cut off part way along
+function buildDetailLevels(coords) {
+    return DETAIL_LEVELS.map(level => {
+        const indices = douglasPeuckerIndices(coords, level.toleranceMeters);
+        return { maxZoom: level.maxZoom, indices: indices, coords: indices.map(i => coords[i]) };
+    });
+}
+
+// Coordinates to draw at a zoom. A cut ({ index, point }) ends the line at `point`,
+// which lies on the full track just after vertex `index`.
+function coordinatesForZoom(detailLevels, zoom, cut) {
+    const level = detailLevels.find(candidate => zoom <= candidate.maxZoom) || detailLevels[detailLevels.length - 1];
+    if (!cut) return level.coords;
+
+    // Number of kept points at or before the cut
+    let lo = 0;
+    let hi = level.indices.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (level.indices[mid] <= cut.index) lo = mid + 1;
+        else hi = mid;
+    }
+    return level.coords.slice(0, lo).concat([cut.point]);
+}
+
+// Detail state of every polyline made by createDetailPolyline, and the ones on the map
+const detailPolylineStates = new WeakMap();
+const detailPolylines = new Set();
+
+// An L.polyline drawn from a segment's detail levels; it swaps its geometry whenever
+// updatePolylineDetail runs while it is on the map
+function createDetailPolyline(detailLevels, zoom, options) {
+    const polyline = L.polyline(coordinatesForZoom(detailLevels, zoom), options);
+    detailPolylineStates.set(polyline, { detailLevels: detailLevels, cut: null });
+    polyline.on('add', () => detailPolylines.add(polyline));
+    polyline.on('remove', () => detailPolylines.delete(polyline));
+    return polyline;
+}
+
+// Draw only part of a detail polyline (pass null to draw all of it again)
+function setDetailPolylineCut(polyline, cut, zoom) {
+    const state = detailPolylineStates.get(polyline);
+    if (!cut && !state.cut) return;
+    state.cut = cut;
+    polyline.setLatLngs(coordinatesForZoom(state.detailLevels, zoom, cut));
+}
+
+function updatePolylineDetail(zoom) {
+    detailPolylines.forEach(polyline => {
+        const state = detailPolylineStates.get(polyline);
+        const coords = coordinatesForZoom(state.detailLevels, zoom, state.cut);
+        if (state.cut || polyline.getLatLngs().length !== coords.length) {
+            polyline.setLatLngs(coords);
+        }
+    });
+}
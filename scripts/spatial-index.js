@@ -0,0 +1,164 @@
+// Spatial index: a uniform grid over a polyline's vertices and the line pieces between them.
+// Supports k-nearest vertex, radius and nearest-point-on-line queries.
+
+const SPATIAL_INDEX_CELL_METERS = 250;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Indexes are built once per coordinate array and reused
+const spatialIndexCache = new WeakMap();
+
+function getSpatialIndex(coords) {
+    let index = spatialIndexCache.get(coords);
+    if (!index) {
+        index = createSpatialIndex(coords);
+        spatialIndexCache.set(coords, index);
+    }
+    return index;
+}
+
+function createSpatialIndex(coords, cellMeters = SPATIAL_INDEX_CELL_METERS) {
+    const referenceLat = coords.length > 0
+        ? coords.reduce((sum, c) => sum + c[0], 0) / coords.length
+        : 0;
+    const cellLat = cellMeters / METERS_PER_DEGREE_LAT;
+    const cellLon = cellMeters / (METERS_PER_DEGREE_LAT * Math.max(0.01, Math.cos(toRadians(referenceLat))));
+
+    const vertexCells = new Map();
+    const pieceCells = new Map();
+    let minCell = [Infinity, Infinity];
+    let maxCell = [-Infinity, -Infinity];
+
+    const cellOf = (point) => [Math.floor(point[0] / cellLat), Math.floor(point[1] / cellLon)];
+    const keyOf = (cy, cx) => `${cy},${cx}`;
+    const addTo = (cells, y, x, value) => {
+        const bucket = cells.get(keyOf(y, x));
+        if (bucket) bucket.items.push(value);
+        else cells.set(keyOf(y, x), { y, x, items: [value] });
+    };
+
+    coords.forEach((point, i) => {
+        const [cy, cx] = cellOf(point);
+        addTo(vertexCells, cy, cx, i);
+        minCell = [Math.min(minCell[0], cy), Math.min(minCell[1], cx)];
+        maxCell = [Math.max(maxCell[0], cy), Math.max(maxCell[1], cx)];
+
+        // Each line piece goes in every cell its bounding box touches
+        if (i < coords.length - 1) {
+            const [ny, nx] = cellOf(coords[i + 1]);
+            for (let y = Math.min(cy, ny); y <= Math.max(cy, ny); y++) {
+                for (let x = Math.min(cx, nx); x <= Math.max(cx, nx); x++) {
+                    addTo(pieceCells, y, x, i);
+                }
+            }
+        }
+    });
+
+    // Visit the cells of ring r around the query cell (r = 0 is the cell itself)
+    function forEachInRing(cells, center, ring, visit) {
+        const visitCell = (y, x) => {
+            const bucket = cells.get(keyOf(y, x));
+            if (bucket) bucket.items.forEach(visit);
+        };
+        if (ring === 0) {
+            visitCell(center[0], center[1]);
+            return;
+        }
+        // Top and bottom rows, then the left and right columns between them,
+        // skipping whatever lies outside the occupied part of the grid
+        const top = center[0] - ring;
+        const bottom = center[0] + ring;
+        const left = center[1] - ring;
+        const right = center[1] + ring;
+        const xFrom = Math.max(left, minCell[1]);
+        const xTo = Math.min(right, maxCell[1]);
+        const yFrom = Math.max(top + 1, minCell[0]);
+        const yTo = Math.min(bottom - 1, maxCell[0]);
+        for (let x = xFrom; x <= xTo; x++) {
+            if (top >= minCell[0]) visitCell(top, x);
+            if (bottom <= maxCell[0]) visitCell(bottom, x);
+        }
+        for (let y = yFrom; y <= yTo; y++) {
+            if (left >= minCell[1]) visitCell(y, left);
+            if (right <= maxCell[1]) visitCell(y, right);
+        }
+    }
+
+    // Rings needed to cover the whole grid from a given cell
+    function maxRingFrom(center) {
+        return Math.max(
+            Math.abs(center[0] - minCell[0]), Math.abs(center[0] - maxCell[0]),
+            Math.abs(center[1] - minCell[1]), Math.abs(center[1] - maxCell[1])
+        );
+    }
+
+    // Grow rings outward until nothing beyond the current ring can beat `isDone`
+    function searchRings(cells, point, visit, isDone) {
+        if (coords.length === 0) return;
+        const center = cellOf(point);
+        const lastRing = maxRingFrom(center);
+        for (let ring = 0; ring <= lastRing; ring++) {
+            // Far from the line most rings are empty; once the search square holds more
+            // cells than the grid has occupied ones, visiting the rest directly is cheaper
+            if ((2 * ring + 1) ** 2 > cells.size) {
+                cells.forEach(bucket => {
+                    if (Math.max(Math.abs(bucket.y - center[0]), Math.abs(bucket.x - center[1])) >= ring) {
+                        bucket.items.forEach(visit);
+                    }
+                });
+                isDone(Infinity);
+                return;
+            }
+            forEachInRing(cells, center, ring, visit);
+            // Anything in ring + 1 or further is at least ring * cellMeters away
+            if (isDone(ring * cellMeters)) return;
+        }
+    }
+
+    // The k vertices closest to a point, nearest first: [{ index, distanceMeters }]
+    function kNearest(point, k) {
+        if (k <= 0) return [];
+        // Kept sorted and never longer than k
+        const found = [];
+        searchRings(vertexCells, point, (i) => {
+            const distanceMeters = haversineMeters(point, coords[i]);
+            if (found.length === k && distanceMeters >= found[k - 1].distanceMeters) return;
+            let at = found.length;
+            while (at > 0 && found[at - 1].distanceMeters > distanceMeters) at--;
+            found.splice(at, 0, { index: i, distanceMeters });
+            if (found.length > k) found.pop();
+        }, (clearedMeters) => found.length === k && found[k - 1].distanceMeters <= clearedMeters);
+        return found;
+    }
+
+    // Every vertex within a radius, nearest first: [{ index, distanceMeters }]
+    function withinRadius(point, radiusMeters) {
+        const found = [];
+        searchRings(vertexCells, point, (i) => {
+            const distanceMeters = haversineMeters(point, coords[i]);
+            if (distanceMeters <= radiusMeters) found.push({ index: i, distanceMeters });
+        }, (clearedMeters) => clearedMeters >= radiusMeters);
+        return found.sort((a, b) => a.distanceMeters - b.distanceMeters);
+    }
+
+    // Nearest point on the line itself (not just a vertex), same shape as projectOntoPolyline.
+    // With maxMeters the search gives up (returning null) once nothing can be that close.
+    function nearestOnLine(point, cumulativeMeters, maxMeters = Infinity) {
+        if (coords.length < 2) return projectOntoPolyline(point, coords, cumulativeMeters);
+
+        let best = null;
+        const seen = new Set();
+        searchRings(pieceCells, point, (i) => {
+            if (seen.has(i)) return;
+            seen.add(i);
+            const projection = projectOntoSegment(point, coords[i], coords[i + 1]);
+            if (!best || projection.distanceMeters < best.distanceMeters) {
+                best = { index: i, ...projection };
+            }
+        }, (clearedMeters) => (best !== null && best.distanceMeters <= clearedMeters) || clearedMeters >= maxMeters);
+
+        if (best === null || best.distanceMeters > maxMeters) return null;
+        return { ...best, chainageMeters: chainageAtProjection(best, coords, cumulativeMeters) };
+    }
+
+    return { kNearest, withinRadius, nearestOnLine };
+}
@@ -0,0 +1,71 @@
+// Trip statistics derived from the loaded segments instead of hardcoded HTML
+
+// Trail length comes from the trip manifest, or from the whole-trail progress when the
+// trip has a trail reference (see computeTrailProgress); the day count from the
+// itinerary when the trip has one (resolved days from resolveItinerary), otherwise
+// from the manifest. Live miles (walked since the first check-in) add to the total.
+function computeTripStats(segments, manifest, itineraryDays, progress, liveMiles = 0) {
+    const stats = {
+        segmentCount: segments.length,
+        days: itineraryDays ? itineraryDays.length : manifest.days,
+        zeroDays: itineraryDays ? itineraryDays.filter(day => day.type === 'zero').length : null,
+        totalMiles: 0,
+        percentOfTrail: null,
+        milesToGo: null,
+        ascent: null,
+        descent: null,
+        highPoint: null,
+        lowPoint: null
+    };
+
+    segments.forEach(segment => {
+        // Measured along the GPX like the day list and map miles; a straight line standing
+        // in for a missing track would come up short, so those use the route.json distance
+        stats.totalMiles += segment.interpolated
+            ? Number(segment.distance) || 0
+            : (segment.cumulativeMeters[segment.cumulativeMeters.length - 1] || 0) / METERS_PER_MILE;
+
+        const elevation = segment.elevation;
+        if (!elevation) return;
+        stats.ascent = (stats.ascent || 0) + elevation.gain;
+        stats.descent = (stats.descent || 0) + elevation.loss;
+        stats.highPoint = stats.highPoint === null ? elevation.maxElevation : Math.max(stats.highPoint, elevation.maxElevation);
+        stats.lowPoint = stats.lowPoint === null ? elevation.minElevation : Math.min(stats.lowPoint, elevation.minElevation);
+    });
+    stats.totalMiles += liveMiles;
+
+    if (progress) {
+        stats.percentOfTrail = Math.min(100, ((progress.completedMiles + liveMiles) / progress.totalMiles) * 100);
+        stats.milesToGo = Math.max(0, progress.remainingMiles - liveMiles);
+    } else if (manifest.trail.totalMiles) {
+        stats.percentOfTrail = (stats.totalMiles / manifest.trail.totalMiles) * 100;
+        stats.milesToGo = Math.max(0, manifest.trail.totalMiles - stats.totalMiles);
+    }
+    return stats;
+}
+
+// Display strings for every stat, keyed the same way as the data-stat attributes
+function formatTripStats(stats) {
+    const feet = (value) => value === null ? '—' : `${Math.round(value).toLocaleString()}ft`;
+    return {
+        segmentCount: String(stats.segmentCount),
+        days: stats.days === null ? '—' : String(stats.days),
+        zeroDays: stats.zeroDays === null ? '—' : String(stats.zeroDays),
+        totalMiles: stats.totalMiles.toFixed(1),
+        percentOfTrail: stats.percentOfTrail === null ? '—' : `${stats.percentOfTrail.toFixed(1)}%`,
+        milesToGo: stats.milesToGo === null ? '—' : stats.milesToGo.toFixed(1),
+        ascent: feet(stats.ascent),
+        descent: feet(stats.descent),
+        highPoint: feet(stats.highPoint),
+        lowPoint: feet(stats.lowPoint)
+    };
+}
+
+// Fill every element carrying a data-stat attribute (hero, sidebar, completion card)
+function renderTripStats(stats, root = document) {
+    const formatted = formatTripStats(stats);
+    root.querySelectorAll('[data-stat]').forEach(element => {
+        const value = formatted[element.dataset.stat];
+        if (value !== undefined) element.textContent = value;
+    });
+}
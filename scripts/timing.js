@@ -0,0 +1,213 @@
+// Time-aware analytics for tracks whose GPX points carry <time>: moving vs stopped
+// time, pace per mile, speed by grade, and stops found as clusters of fixes that stay
+// put. Times are epoch milliseconds, one per coordinate. Without timestamps (times is
+// null) every function here returns null and the page stays distance-only.
+
+// Fixes within this distance of where a stop began still count as the same stop
+const STOP_RADIUS_METERS = 40;
+// Shorter pauses are just GPS noise or a look around; longer ones are a camp
+const STOP_BREAK_MIN_MS = 5 * 60 * 1000;
+const STOP_CAMP_MIN_MS = 4 * 60 * 60 * 1000;
+// Grade is measured over stretches at least this long, so GPS elevation noise averages out
+const TIMING_GRADE_WINDOW_METERS = 100;
+const TIMING_GRADE_BUCKETS = [
+    { label: 'Steep descent', maxGrade: -10 },
+    { label: 'Descent', maxGrade: -3 },
+    { label: 'Flat', maxGrade: 3 },
+    { label: 'Climb', maxGrade: 10 },
+    { label: 'Steep climb', maxGrade: Infinity }
+];
+
+// A track's timestamps, or null unless every point has one
+function completeTimestamps(times) {
+    return times.length > 1 && times.every(Number.isFinite) ? times : null;
+}
+
+// Timestamps are only trusted when they never run backwards and span some time
+function hasUsableTimes(times) {
+    if (!times || times.length < 2) return false;
+    for (let i = 1; i < times.length; i++) {
+        if (times[i] < times[i - 1]) return false;
+    }
+    return times[times.length - 1] > times[0];
+}
+
+// Scan forward from each fix while the track stays within STOP_RADIUS_METERS of it.
+// A long enough stay is a stop: a break, or a camp when it lasts for hours.
+function detectStops(coords, times) {
+    const stops = [];
+    let i = 0;
+    while (i < coords.length - 1) {
+        let j = i + 1;
+        while (j < coords.length && haversineMeters(coords[i], coords[j]) <= STOP_RADIUS_METERS) j++;
+
+        const durationMs = times[j - 1] - times[i];
+        if (durationMs < STOP_BREAK_MIN_MS) {
+            i++;
+            continue;
+        }
+
+        let lat = 0;
+        let lon = 0;
+        for (let k = i; k < j; k++) {
+            lat += coords[k][0];
+            lon += coords[k][1];
+        }
+        stops.push({
+            type: durationMs >= STOP_CAMP_MIN_MS ? 'camp' : 'break',
+            startIndex: i,
+            endIndex: j - 1,
+            startTime: times[i],
+            endTime: times[j - 1],
+            durationMs: durationMs,
+            coords: [lat / (j - i), lon / (j - i)]
+        });
+        i = j;
+    }
+    return stops;
+}
+
+// Time at a chainage, interpolated between fixes
+function timeAtChainage(times, cumulativeMeters, chainageMeters) {
+    const last = times.length - 1;
+    if (chainageMeters <= 0) return times[0];
+    if (chainageMeters >= cumulativeMeters[last]) return times[last];
+    const i = vertexIndexAtChainage(cumulativeMeters, chainageMeters);
+    const span = cumulativeMeters[i + 1] - cumulativeMeters[i];
+    const t = span > 0 ? (chainageMeters - cumulativeMeters[i]) / span : 0;
+    return times[i] + (times[i + 1] - times[i]) * t;
+}
+
+// Chainage reached at a time: the inverse of timeAtChainage. While stopped the
+// position holds at the start of the stop.
+function chainageAtTime(times, cumulativeMeters, timeMs) {
+    const last = times.length - 1;
+    if (timeMs <= times[0]) return 0;
+    if (timeMs >= times[last]) return cumulativeMeters[last];
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] <= timeMs) lo = mid;
+        else hi = mid;
+    }
+    const span = times[hi] - times[lo];
+    const t = span > 0 ? (timeMs - times[lo]) / span : 0;
+    return cumulativeMeters[lo] + (cumulativeMeters[hi] - cumulativeMeters[lo]) * t;
+}
+
+// Stopped time that falls between two moments
+function stoppedMsBetween(stops, fromMs, toMs) {
+    return stops.reduce((total, stop) =>
+        total + Math.max(0, Math.min(toMs, stop.endTime) - Math.max(fromMs, stop.startTime)), 0);
+}
+
+// One split per mile (the last may be shorter), paced on moving time only so a
+// lunch stop or a night in camp doesn't swamp the mile it happened in
+function computeMileSplits(times, cumulativeMeters, stops) {
+    const totalMeters = cumulativeMeters[cumulativeMeters.length - 1];
+    const splits = [];
+    for (let fromMeters = 0; fromMeters < totalMeters - 1; fromMeters += METERS_PER_MILE) {
+        const toMeters = Math.min(totalMeters, fromMeters + METERS_PER_MILE);
+        const fromMs = timeAtChainage(times, cumulativeMeters, fromMeters);
+        const toMs = timeAtChainage(times, cumulativeMeters, toMeters);
+        const movingMs = (toMs - fromMs) - stoppedMsBetween(stops, fromMs, toMs);
+        const miles = (toMeters - fromMeters) / METERS_PER_MILE;
+        splits.push({
+            mile: splits.length + 1,
+            miles: miles,
+            movingMs: movingMs,
+            paceMsPerMile: movingMs / miles
+        });
+    }
+    return splits;
+}
+
+// Average moving speed on descents, flats and climbs
+function computeSpeedByGrade(coords, times, cumulativeMeters, stops) {
+    const stopped = new Uint8Array(coords.length);
+    stops.forEach(stop => stopped.fill(1, stop.startIndex, stop.endIndex));
+
+    const buckets = TIMING_GRADE_BUCKETS.map(bucket => ({ label: bucket.label, maxGrade: bucket.maxGrade, meters: 0, ms: 0 }));
+    let from = 0;
+    for (let i = 1; i < coords.length; i++) {
+        if (stopped[i - 1]) {
+            from = i;
+            continue;
+        }
+        const meters = cumulativeMeters[i] - cumulativeMeters[from];
+        if (meters < TIMING_GRADE_WINDOW_METERS) continue;
+
+        const ms = times[i] - times[from];
+        const rise = coords[i][2] - coords[from][2];
+        if (ms > 0 && Number.isFinite(rise)) {
+            const grade = (rise / meters) * 100;
+            const bucket = buckets.find(candidate => grade < candidate.maxGrade);
+            bucket.meters += meters;
+            bucket.ms += ms;
+        }
+        from = i;
+    }
+
+    return buckets.map(bucket => ({
+        label: bucket.label,
+        meters: bucket.meters,
+        ms: bucket.ms,
+        speedMps: bucket.ms > 0 ? bucket.meters / (bucket.ms / 1000) : null
+    }));
+}
+
+// Everything time-based about one segment or day, or null when it has no timestamps
+function computeTimeAnalytics(coords, cumulativeMeters, times) {
+    if (!hasUsableTimes(times)) return null;
+
+    const stops = detectStops(coords, times);
+    const elapsedMs = times[times.length - 1] - times[0];
+    const stoppedMs = stops.reduce((total, stop) => total + stop.durationMs, 0);
+    const movingMs = elapsedMs - stoppedMs;
+    const distanceMeters = cumulativeMeters[cumulativeMeters.length - 1];
+
+    return {
+        startTime: times[0],
+        endTime: times[times.length - 1],
+        elapsedMs: elapsedMs,
+        movingMs: movingMs,
+        stoppedMs: stoppedMs,
+        movingSpeedMps: movingMs > 0 ? distanceMeters / (movingMs / 1000) : null,
+        stops: stops,
+        splits: computeMileSplits(times, cumulativeMeters, stops),
+        speedByGrade: computeSpeedByGrade(coords, times, cumulativeMeters, stops)
+    };
+}
+
+// "3h 05m", or "2d 4h" once it runs past a day
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+    return `${minutes}m`;
+}
+
+// "24:30 /mi"
+function formatPace(msPerMile) {
+    if (!Number.isFinite(msPerMile) || msPerMile <= 0) return '—';
+    const seconds = Math.round(msPerMile / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} /mi`;
+}
+
+function formatSpeedMph(metersPerSecond) {
+    if (metersPerSecond === null) return '—';
+    return `${((metersPerSecond * 3600) / METERS_PER_MILE).toFixed(1)} mph`;
+}
+
+// "Jul 9, 7:42 AM" in the viewer's time zone
+function formatClockTime(timeMs) {
+    return new Date(timeMs).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
@@ -0,0 +1,63 @@
+// Named waypoints from the GPX (trailheads, passes, junctions, towns), typed by their
+// name or symbol and placed at a trail mile so each segment can list its own.
+
+// Checked in order, so "Tennessee Pass Trailhead" is a trailhead and not a pass
+const WAYPOINT_TYPES = [
+    { id: 'town', label: 'Town / resupply', icon: 'fa-store', pattern: /\b(town|resupply|post office|store|market|hostel|lodge)\b/i },
+    { id: 'trailhead', label: 'Trailhead', icon: 'fa-sign', pattern: /\b(trailhead|th)\b/i },
+    { id: 'junction', label: 'Junction', icon: 'fa-code-branch', pattern: /\b(junction|jct|intersection)\b/i },
+    { id: 'pass', label: 'Pass', icon: 'fa-mountain', pattern: /\b(pass|saddle|col)\b/i },
+    { id: 'other', label: 'Waypoint', icon: 'fa-map-pin', pattern: null }
+];
+// Waypoints further than this from the trail get no trail mile
+const WAYPOINT_TRAIL_SNAP_METERS = 1000;
+// A waypoint this close to a segment boundary (a shared trailhead) belongs to both segments
+const WAYPOINT_SEGMENT_END_METERS = 300;
+
+function classifyWaypoint(waypoint) {
+    const text = [waypoint.name, waypoint.symbol, waypoint.description].filter(Boolean).join(' ');
+    return WAYPOINT_TYPES.find(type => !type.pattern || type.pattern.test(text));
+}
+
+// Type, trail mile and segments for each waypoint, in trail order (off-trail ones last).
+// `raw` is [{ name, coords: [lat, lon, ele?], symbol?, description? }] with ele in meters.
+function buildWaypoints(raw, segments) {
+    const trip = buildTripGeometry(segments);
+    const tripIndex = getSpatialIndex(trip.coords);
+
+    const waypoints = raw.filter(waypoint => waypoint.name && Array.isArray(waypoint.coords)).map(waypoint => {
+        const hit = tripIndex.nearestOnLine(waypoint.coords, trip.cumulativeMeters, WAYPOINT_TRAIL_SNAP_METERS);
+        const tripMeters = hit ? hit.chainageMeters : null;
+
+        const segmentIndexes = [];
+        if (tripMeters !== null) {
+            trip.segmentStarts.forEach((start, s) => {
+                const end = s + 1 < trip.segmentStarts.length ? trip.segmentStarts[s + 1] : trip.totalMeters;
+                if (tripMeters >= start - WAYPOINT_SEGMENT_END_METERS && tripMeters <= end + WAYPOINT_SEGMENT_END_METERS) {
+                    segmentIndexes.push(s);
+                }
+            });
+        }
+
+        const elevation = waypoint.coords[2];
+        return {
+            name: waypoint.name,
+            type: classifyWaypoint(waypoint),
+            description: waypoint.description || '',
+            coords: [waypoint.coords[0], waypoint.coords[1]],
+            elevationFeet: Number.isFinite(elevation) ? Math.round(elevation * FEET_PER_METER) : null,
+            tripMeters: tripMeters,
+            segmentIndexes: segmentIndexes
+        };
+    });
+
+    return waypoints.sort((a, b) => (a.tripMeters ?? Infinity) - (b.tripMeters ?? Infinity));
+}
+
+// "Mile 102.8 · 11,000 ft"
+function formatWaypointPosition(waypoint) {
+    const parts = [];
+    if (waypoint.tripMeters !== null) parts.push(`Mile ${(waypoint.tripMeters / METERS_PER_MILE).toFixed(1)}`);
+    if (waypoint.elevationFeet !== null) parts.push(`${formatElevation(waypoint.elevationFeet)} ft`);
+    return parts.join(' · ');
+}
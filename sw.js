@@ -0,0 +1,125 @@
+// Service worker: keeps the app shell, vendored libraries and trail data in caches so
+// the page opens without a connection, and serves map tiles saved from the Offline panel.
+importScripts('scripts/offline.js');
+
+// Everything the page needs to start. Bump OFFLINE_SHELL_CACHE in offline.js when
+// this list or any of these files change.
+const OFFLINE_SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'styles/main.css',
+    'scripts/manifest.js',
+    'scripts/basemaps.js',
+    'scripts/geo.js',
+    'scripts/spatial-index.js',
+    'scripts/simplify.js',
+    'scripts/elevation.js',
+    'scripts/timing.js',
+    'scripts/matcher.js',
+    'scripts/stats.js',
+    'scripts/router.js',
+    'scripts/itinerary.js',
+    'scripts/import.js',
+    'scripts/export.js',
+    'scripts/photos.js',
+    'scripts/encounters.js',
+    'scripts/waypoints.js',
+    'scripts/journal.js',
+    'scripts/progress.js',
+    'scripts/live.js',
+    'scripts/estimator.js',
+    'scripts/offline.js',
+    'scripts/playback.js',
+    'scripts/main.js',
+    'vendor/leaflet-1.9.4/leaflet.css',
+    'vendor/leaflet-1.9.4/leaflet.js',
+    'vendor/leaflet-1.9.4/images/marker-icon.png',
+    'vendor/leaflet-1.9.4/images/marker-icon-2x.png',
+    'vendor/leaflet-1.9.4/images/marker-shadow.png',
+    'vendor/leaflet-1.9.4/images/layers.png',
+    'vendor/leaflet-1.9.4/images/layers-2x.png',
+    'vendor/leaflet.markercluster-1.5.3/MarkerCluster.css',
+    'vendor/leaflet.markercluster-1.5.3/MarkerCluster.Default.css',
+    'vendor/leaflet.markercluster-1.5.3/leaflet.markercluster.js',
+    'vendor/fontawesome-6.4.0/css/all.min.css',
+    'vendor/fontawesome-6.4.0/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome-6.4.0/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome-6.4.0/webfonts/fa-brands-400.woff2',
+    'vendor/gpxparser-3.0.8/GPXParser.min.js',
+    'vendor/exifr-7.1.3/lite.umd.js',
+    'vendor/marked-12.0.2/marked.min.js',
+    'vendor/dompurify-3.1.6/purify.min.js',
+    'assets/icons/icon.svg',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/trips.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(OFFLINE_SHELL_CACHE)
+            .then(cache => cache.addAll(OFFLINE_SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches left by older versions; saved tiles survive as long as their cache name does
+self.addEventListener('activate', (event) => {
+    const current = [OFFLINE_SHELL_CACHE, OFFLINE_TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    // Live check-in feeds ask for no-store and always go to the network
+    if (request.method !== 'GET' || request.cache === 'no-store') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (isTileUrl(request.url)) {
+        event.respondWith(savedTileOrNetwork(request));
+    }
+});
+
+// Answer from the cache straight away and refresh it in the background, so the page
+// works offline and picks up new trail data on the next visit
+async function staleWhileRevalidate(request) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const refresh = fetch(request)
+        .then(async (response) => {
+            if (response.ok) {
+                const cache = await caches.open(OFFLINE_SHELL_CACHE);
+                await cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    try {
+        return await refresh;
+    } catch (error) {
+        // Offline and never fetched: any page navigation still gets the app
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+// Tiles saved from the Offline panel, whichever subdomain Leaflet asks for; others
+// come from the network and aren't kept, so browsing doesn't fill the device
+async function savedTileOrNetwork(request) {
+    const cache = await caches.open(OFFLINE_TILE_CACHE);
+    const saved = await cache.match(canonicalTileUrl(request.url));
+    return saved || fetch(request);
+}
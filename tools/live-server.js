@@ -0,0 +1,135 @@
+// Local stand-in for a live check-in endpoint. Serves the site and keeps posted
+// check-ins in memory, so live mode can be tried without a tracker:
+//
+//   node tools/live-server.js [port]
+//   curl -X POST 127.0.0.1:8787/checkins -H 'Content-Type: application/json' \
+//        -d '{"lat": 38.4961, "lon": -106.3257, "note": "Monarch Pass"}'
+//
+// Point the trip manifest's "live.feed" at "/checkins" while it runs. GET /checkins
+// returns { "checkins": [...] }; POST accepts one check-in, a { "checkins": [...] }
+// batch or GeoJSON points. Check-ins without a time are stamped with the current one.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8787;
+// Only this machine can reach it: there is no auth and the whole repo sits under ROOT
+const HOST = '127.0.0.1';
+const ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 1024 * 1024;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.gpx': 'application/gpx+xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+const checkins = [];
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+// The same shapes the page's feed reader accepts, flattened to { time, lat, lon, note }
+function checkinsFromBody(body) {
+    const entries = body.type === 'FeatureCollection' ? body.features
+        : body.type === 'Feature' ? [body]
+        : Array.isArray(body.checkins) ? body.checkins
+        : [body];
+
+    return entries.map(entry => {
+        const point = entry.type === 'Feature' && entry.geometry && entry.geometry.type === 'Point'
+            ? { ...(entry.properties || {}), lat: entry.geometry.coordinates[1], lon: entry.geometry.coordinates[0] }
+            : entry;
+        const lat = Number(point.lat);
+        const lon = Number(point.lon);
+        const time = point.time ? Date.parse(point.time) : Date.now();
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180 || !Number.isFinite(time)) {
+            throw new Error('Each check-in needs a numeric lat and lon (and an ISO 8601 time, if given)');
+        }
+        return { time: new Date(time).toISOString(), lat: lat, lon: lon, note: point.note ? String(point.note) : undefined };
+    });
+}
+
+function handleCheckins(req, res) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end();
+        return;
+    }
+    if (req.method === 'GET') {
+        sendJson(res, 200, { checkins: checkins });
+        return;
+    }
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Use GET or POST' });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) req.destroy();
+    });
+    req.on('end', () => {
+        try {
+            const added = checkinsFromBody(JSON.parse(body));
+            checkins.push(...added);
+            checkins.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+            console.log(`📡 ${added.length} check-in(s) received, ${checkins.length} in total`);
+            sendJson(res, 201, { added: added.length, total: checkins.length });
+        } catch (error) {
+            sendJson(res, 400, { error: error.message });
+        }
+    });
+}
+
+function serveFile(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT, urlPath.endsWith('/') ? `${urlPath}index.html` : urlPath);
+    // Nothing outside the site, and no dot files or folders such as .git
+    const hidden = path.relative(ROOT, filePath).split(path.sep).some(part => part.startsWith('.'));
+    if (hidden || (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep))) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+http.createServer((req, res) => {
+    if (new URL(req.url, 'http://localhost').pathname === '/checkins') {
+        handleCheckins(req, res);
+    } else {
+        serveFile(req, res);
+    }
+}).listen(PORT, HOST, () => {
+    console.log(`🥾 Serving the site at http://${HOST}:${PORT}/ with check-ins at /checkins`);
+});